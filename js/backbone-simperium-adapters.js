@@ -0,0 +1,328 @@
+// Storage adapters
+// ----------------
+//
+// An adapter is everything Backbone.SimperiumCollection and Backbone.sync know
+// about where objects are kept: a flat store of JSON objects keyed by id that
+// can tell us when somebody else changed one of them.
+//
+// Every adapter implements:
+//
+//   set_get_data(fn)   fn(id) returns the local copy of an object. Called once
+//                      before start(); adapters that don't diff can ignore it.
+//   start()            begin delivering remote changes.
+//   update(id, data, callback)
+//                      store `data` under `id`; `null` deletes the object.
+//                      callback(error) runs once the bucket has accepted the
+//                      write (error is null) or refused it (error says why).
+//   update_batch(changes, callback)
+//                      like update() for several objects at once, `changes`
+//                      being {id: data or null, ...}. Adapters that can apply
+//                      them all-or-nothing and deliver them to others as one
+//                      "notify_batch" do; the default writes them one by one.
+//   get(id)            the stored object for `id`, or null.
+//   get_all_data(fn)   calls fn({id: data, ...}) with every stored object, as
+//                      soon as the adapter has loaded the bucket.
+//
+// and has these properties:
+//
+//   name               the bucket name, used to key anything kept on its behalf.
+//   connected          true while update() can reach the bucket.
+//   ready              true once the bucket has been loaded.
+//
+// It reports changes made elsewhere, and its connection, by triggering
+//
+//   "notify" (id, data)    `data` is null when the object was deleted.
+//   "notify_batch" (changes)
+//                          several objects changed together, as for
+//                          update_batch().
+//   "initialized"          the bucket has been loaded and everything in it
+//                          notified.
+//   "connect"
+//   "disconnect"
+//   "refused" (reason)     the bucket won't let us in at all, e.g. for want of
+//                          the right token; nothing more will arrive.
+//
+// New adapters extend Backbone.StorageAdapter and override what they need.
+
+Backbone.StorageAdapter = function(options) {
+    this.options = options || {};
+    this.name = this.options.name;
+    this.initialize.apply(this, arguments);
+};
+
+_.extend(Backbone.StorageAdapter.prototype, Backbone.Events, {
+    connected: true,
+    ready: true,
+    initialize: function(options) {},
+    set_get_data: function(fn) {},
+    start: function() {},
+    update: function(id, data, callback) { if (callback) callback(null); },
+
+    update_batch: function(changes, callback) {
+        var ids = _.keys(changes), errors = [], self = this;
+        var next = function() {
+            if (!ids.length) {
+                if (callback) callback(errors.length ? errors.join(", ") : null);
+                return;
+            }
+            var id = ids.shift();
+            self.update(id, changes[id], function(error) {
+                if (error) errors.push(error);
+                next();
+            });
+        };
+        next();
+    },
+
+    get: function(id) { return null; },
+    get_all_data: function(fn) { fn({}); }
+});
+
+Backbone.StorageAdapter.extend = Backbone.Model.extend;
+
+
+// Talks to a Simperium bucket (or anything with the same API), e.g.
+//
+//     new Backbone.SimperiumAdapter({bucket: new Simperium(app_id, name, opts)})
+//
+// Buckets with set_connection() (LocalSimperium) tell us when their socket
+// comes and goes; for the rest we go by the browser's online/offline events.
+// Likewise, buckets with `acks` set confirm each update; for the rest we
+// assume it went through as soon as it is handed over. Batches are only
+// atomic on buckets with update_batch().
+Backbone.SimperiumAdapter = Backbone.StorageAdapter.extend({
+    // Simperium hands us objects one notify at a time, so we keep our own
+    // copy of the bucket for get_all_data().
+    initialize: function(options) {
+        _.bindAll(this, "notify", "notify_batch", "initialized", "connection", "refused");
+        this.bucket = options.bucket;
+        this.name || (this.name = this.bucket.name);
+        this.data = {};
+        this.ready = false;
+        this.waiting = [];
+    },
+
+    set_get_data: function(fn) {
+        this.bucket.set_get_data(fn);
+    },
+
+    start: function() {
+        var self = this;
+        if (this.bucket.set_connection) {
+            this.connected = !!this.bucket.connected;
+            this.bucket.set_connection(this.connection);
+        } else if (typeof window !== 'undefined' && window.addEventListener) {
+            this.connected = window.navigator.onLine !== false;
+            window.addEventListener("online", function() { self.connection(true); }, false);
+            window.addEventListener("offline", function() { self.connection(false); }, false);
+        }
+        this.bucket.set_notify(this.notify);
+        if (this.bucket.set_notify_batch) {
+            this.bucket.set_notify_batch(this.notify_batch);
+        }
+        if (this.bucket.set_refused) {
+            this.bucket.set_refused(this.refused);
+        }
+        if (this.bucket.set_initialized) {
+            this.bucket.set_initialized(this.initialized);
+        } else {
+            this.initialized();
+        }
+        this.bucket.start();
+    },
+
+    initialized: function() {
+        this.ready = true;
+        var waiting = this.waiting;
+        this.waiting = [];
+        for (var i = 0; i < waiting.length; i++) {
+            waiting[i](_.clone(this.data));
+        }
+        this.trigger("initialized");
+    },
+
+    connection: function(connected) {
+        if (connected == this.connected) return;
+        this.connected = connected;
+        this.trigger(connected ? "connect" : "disconnect");
+    },
+
+    refused: function(reason) {
+        this.trigger("refused", reason);
+    },
+
+    notify: function(id, data) {
+        this.store(id, data);
+        this.trigger("notify", id, data);
+    },
+
+    notify_batch: function(changes) {
+        for (var id in changes) {
+            this.store(id, changes[id]);
+        }
+        this.trigger("notify_batch", changes);
+    },
+
+    update: function(id, data, callback) {
+        this.store(id, data);
+        if (this.bucket.acks) {
+            this.bucket.update(id, data, callback);
+        } else {
+            this.bucket.update(id, data);
+            if (callback) callback(null);
+        }
+    },
+
+    update_batch: function(changes, callback) {
+        if (!this.bucket.update_batch) {
+            return Backbone.StorageAdapter.prototype.update_batch.call(this, changes, callback);
+        }
+        for (var id in changes) {
+            this.store(id, changes[id]);
+        }
+        this.bucket.update_batch(changes, callback);
+    },
+
+    get: function(id) {
+        return this.bucket.get(id);
+    },
+
+    get_all_data: function(fn) {
+        if (this.ready) {
+            fn(_.clone(this.data));
+        } else {
+            this.waiting.push(fn);
+        }
+    },
+
+    store: function(id, data) {
+        if (data == null) {
+            delete this.data[id];
+        } else {
+            this.data[id] = data;
+        }
+    }
+});
+
+
+// Keeps a whole bucket as one JSON blob in localStorage, so the pie works
+// without any sync service. Other tabs of the same browser see each other's
+// changes through the "storage" event.
+//
+//     new Backbone.LocalStorageAdapter({name: pie_name})
+Backbone.LocalStorageAdapter = Backbone.StorageAdapter.extend({
+    prefix: "btp:",
+    ready: false,
+
+    initialize: function(options) {
+        _.bindAll(this, "storage_event");
+        this.key = this.prefix + options.name;
+        this.storage = options.storage || window.localStorage;
+        this.data = this.load(this.storage.getItem(this.key));
+    },
+
+    // Replays what is already stored, deferred like a real bucket would so
+    // the collection has finished constructing first.
+    start: function() {
+        if (typeof window !== 'undefined' && window.addEventListener) {
+            window.addEventListener("storage", this.storage_event, false);
+        }
+        var self = this;
+        _.defer(function() {
+            for (var id in self.data) {
+                self.trigger("notify", id, self.data[id]);
+            }
+            self.ready = true;
+            self.trigger("initialized");
+        });
+    },
+
+    // Fails when the browser's storage is full or switched off.
+    update: function(id, data, callback) {
+        var changes = {};
+        changes[id] = data;
+        this.update_batch(changes, callback);
+    },
+
+    // One setItem, so other tabs see the whole batch in one "storage" event.
+    update_batch: function(changes, callback) {
+        var error = null;
+        for (var id in changes) {
+            if (changes[id] == null) {
+                delete this.data[id];
+            } else {
+                this.data[id] = changes[id];
+            }
+        }
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.data));
+        } catch (e) {
+            error = e.message || "storage full";
+        }
+        if (callback) callback(error);
+    },
+
+    get: function(id) {
+        return _.has(this.data, id) ? this.data[id] : null;
+    },
+
+    get_all_data: function(fn) {
+        var data = _.clone(this.data);
+        _.defer(function() { fn(data); });
+    },
+
+    load: function(json) {
+        try {
+            return JSON.parse(json) || {};
+        } catch (e) {
+            return {};
+        }
+    },
+
+    // Another tab wrote the bucket: work out which objects changed.
+    storage_event: function(e) {
+        if (e.key != this.key) return;
+        var previous = this.data;
+        var changes = {};
+        var id;
+        this.data = this.load(e.newValue);
+        for (id in this.data) {
+            if (!_.isEqual(previous[id], this.data[id])) {
+                changes[id] = this.data[id];
+            }
+        }
+        for (id in previous) {
+            if (!_.has(this.data, id)) {
+                changes[id] = null;
+            }
+        }
+        var ids = _.keys(changes);
+        if (ids.length == 1) {
+            this.trigger("notify", ids[0], changes[ids[0]]);
+        } else if (ids.length > 1) {
+            this.trigger("notify_batch", changes);
+        }
+    }
+});
+
+
+// The adapter a page should use for bucket `name` of Simperium app `app_id`:
+// Simperium itself when simperium.js is loaded, server/sync-server.js
+// (through js/simperium-local.js) when that is what served the page, and this
+// browser's localStorage when the page was opened from disk. Buckets are
+// logged in to before the adapter starts them.
+//
+//     var adapter = Backbone.StorageAdapter.pick(SIMPERIUM_APP_ID, code, SIMPERIUM_OPTS);
+Backbone.StorageAdapter.pick = function(app_id, name, simperium_opts) {
+    var bucket;
+    if (typeof Simperium !== 'undefined') {
+        bucket = new Simperium(app_id, name, simperium_opts);
+    } else if (typeof LocalSimperium !== 'undefined' && window.WebSocket &&
+            window.location.protocol.substr(0, 4) == 'http') {
+        bucket = new LocalSimperium(app_id, name, {});
+    } else {
+        return new Backbone.LocalStorageAdapter({name: name});
+    }
+    bucket.login();
+    return new Backbone.SimperiumAdapter({bucket: bucket});
+};
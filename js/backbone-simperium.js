@@ -1,86 +1,871 @@
+// Writes on their way to a storage adapter, oldest first. While the adapter is
+// disconnected they wait here, copied to localStorage so that a reload
+// doesn't lose them, and are replayed in order when it reconnects. Fires
+// "change" with the number of writes still pending.
+//
+// Each page keeps its copy under `key`:`session`, so tabs open on the same
+// pie don't overwrite each other's. When a page goes away its copy is marked
+// released, and the next page to start on the pie takes over released
+// copies and any nobody has touched for `abandon_after` ms (a crashed tab's);
+// those of tabs still open are left to them.
+//
+// One write is in flight at a time. A write the adapter rejects, or doesn't
+// answer within `timeout` ms, is tried again after `retry_delay` ms, doubling
+// each time, up to `retries` more times; after that it is dropped and its
+// error callback gets the reason. Time spent disconnected doesn't count.
+//
+// With `coalesce` set, a write waits that many ms before going out, and any
+// further writes to the same object in the meantime replace it rather than
+// queueing behind it, so a dragged slider costs one write per window.
+Backbone.SyncQueue = function(adapter, options) {
+    options || (options = {});
+    _.bindAll(this, "flush", "release");
+    this.adapter = adapter;
+    this.prefix = options.key;
+    this.key = options.key && options.key + ":" + options.session;
+    this.storage = options.storage || window.localStorage;
+    this.abandon_after = options.abandon_after != null ? options.abandon_after : 24 * 60 * 60 * 1000;
+    this.retries = options.retries != null ? options.retries : 3;
+    this.retry_delay = options.retry_delay != null ? options.retry_delay : 1000;
+    this.timeout = options.timeout != null ? options.timeout : 10000;
+    this.coalesce = options.coalesce || 0;
+    this.entries = this.load();
+    this.callbacks = _.map(this.entries, function() { return {}; });
+    // what was taken over is ours to keep now
+    if (this.entries.length) this.save();
+    this.attempts = 0;
+    this.in_flight = null;
+    adapter.bind("connect", this.flush);
+    if (window.addEventListener) window.addEventListener("pagehide", this.release);
+};
+
+_.extend(Backbone.SyncQueue.prototype, Backbone.Events, {
+    // `success()` runs once the adapter has taken the write, `error(reason)`
+    // if it never does.
+    push: function(id, data, success, error) {
+        var now = new Date().getTime();
+        var last = _.last(this.entries);
+        var sending = this.in_flight && this.entries.length == 1;
+        if (this.coalesce && last && !sending && !last.batch && last.id == id &&
+                now - last.at < this.coalesce) {
+            last.data = data;
+            var previous = this.callbacks[this.callbacks.length - 1];
+            this.callbacks[this.callbacks.length - 1] = {
+                success: function() {
+                    if (previous.success) previous.success();
+                    if (success) success();
+                },
+                error: function(reason) {
+                    if (previous.error) previous.error(reason);
+                    if (error) error(reason);
+                }
+            };
+            this.save();
+            return;
+        }
+        this.entries.push({id: id, data: data, at: now});
+        this.callbacks.push({success: success, error: error});
+        this.save();
+        this.flush();
+    },
+
+    // Like push(), for {id: data, ...} written with the adapter's update_batch.
+    push_batch: function(changes, success, error) {
+        this.entries.push({batch: changes});
+        this.callbacks.push({success: success, error: error});
+        this.save();
+        this.flush();
+    },
+
+    flush: function() {
+        if (this.in_flight || this.waiting || !this.entries.length || !this.adapter.connected) {
+            return;
+        }
+        var self = this;
+        var entry = this.entries[0];
+        var hold = entry.at + this.coalesce - new Date().getTime();
+        if (this.coalesce && hold > 0) {
+            this.waiting = setTimeout(function() {
+                self.waiting = null;
+                self.flush();
+            }, hold);
+            return;
+        }
+        var token = this.in_flight = {};
+        var timer = setTimeout(function() { done("timeout"); }, this.timeout);
+        var done = function(error) {
+            if (self.in_flight !== token) return;
+            clearTimeout(timer);
+            self.in_flight = null;
+            if (error) {
+                self.failed(error);
+            } else {
+                self.sent();
+            }
+        };
+        try {
+            if (entry.batch) {
+                this.adapter.update_batch(entry.batch, done);
+            } else {
+                this.adapter.update(entry.id, entry.data, done);
+            }
+        } catch (e) {
+            done(e.message || String(e));
+        }
+    },
+
+    sent: function() {
+        var callbacks = this.callbacks.shift();
+        this.entries.shift();
+        this.attempts = 0;
+        this.save();
+        if (callbacks.success) callbacks.success();
+        this.flush();
+    },
+
+    failed: function(error) {
+        var self = this;
+        if (!this.adapter.connected) return;
+        if (this.attempts < this.retries) {
+            this.waiting = setTimeout(function() {
+                self.waiting = null;
+                self.flush();
+            }, this.retry_delay * Math.pow(2, this.attempts++));
+            return;
+        }
+        var callbacks = this.callbacks.shift();
+        this.entries.shift();
+        this.attempts = 0;
+        this.save();
+        if (callbacks.error) callbacks.error(error);
+        this.flush();
+    },
+
+    length: function() {
+        return this.entries.length;
+    },
+
+    pending: function(id) {
+        return _.any(this.entries, function(entry) {
+            return entry.batch ? _.has(entry.batch, id) : entry.id == id;
+        });
+    },
+
+    // Lays the pending writes over a snapshot of the bucket, so what we read
+    // back includes changes made offline before a reload.
+    overlay: function(data) {
+        var apply = function(id, value) {
+            if (value == null) {
+                delete data[id];
+            } else {
+                data[id] = value;
+            }
+        };
+        _.each(this.entries, function(entry) {
+            if (entry.batch) {
+                _.each(entry.batch, function(value, id) { apply(id, value); });
+            } else {
+                apply(entry.id, entry.data);
+            }
+        });
+        return data;
+    },
+
+    // The writes of earlier pages on this pie that nobody else has, oldest
+    // page first. A plain list under `prefix` is from before copies were
+    // kept per page.
+    load: function() {
+        if (!this.key || !this.storage) return [];
+        var now = new Date().getTime(), orphans = [], entries = [];
+        try {
+            for (var i = 0; i < this.storage.length; i++) {
+                var key = this.storage.key(i);
+                var session = key.slice(this.prefix.length + 1);
+                if (key != this.prefix && (key.indexOf(this.prefix + ":") != 0 ||
+                        !session || session.indexOf(":") != -1)) continue;
+                var copy = null;
+                try {
+                    copy = JSON.parse(this.storage.getItem(key));
+                } catch (e) {}
+                if (_.isArray(copy)) copy = {entries: copy, at: 0, released: true};
+                if (copy && !copy.released && now - copy.at <= this.abandon_after) continue;
+                orphans.push({key: key, copy: copy || {at: 0}});
+            }
+            _.each(_.sortBy(orphans, function(o) { return o.copy.at; }), function(orphan) {
+                this.storage.removeItem(orphan.key);
+                entries = entries.concat(orphan.copy.entries || []);
+            }, this);
+        } catch (e) {}
+        return entries;
+    },
+
+    save: function(released) {
+        if (this.key && this.storage) {
+            if (this.entries.length) {
+                var copy = {entries: this.entries, at: new Date().getTime()};
+                if (released) copy.released = true;
+                this.storage.setItem(this.key, JSON.stringify(copy));
+            } else {
+                this.storage.removeItem(this.key);
+            }
+        }
+        this.trigger("change", this.entries.length);
+    },
+
+    // Hands what is still unsent over to whichever page starts on the pie
+    // next; see above. Any later write takes it back.
+    release: function() {
+        this.save(true);
+    }
+});
+
+
+// Ids
+// ---
+//
+// New models get ids like "k2x9f1ab-lq3b8z4c-0": a random client id kept in
+// localStorage, a session made when the page loads, and a counter, all base
+// 36. Two devices differ in the client part, two tabs of one browser (or one
+// tab reloaded) in the session, and each id a page mints has its own count,
+// so offline clients never hand out the same id twice.
+Backbone.IdGenerator = function(options) {
+    options || (options = {});
+    this.storage = options.storage || (typeof window !== 'undefined' ? window.localStorage : null);
+    this.client = options.client || this.load_client();
+    this.session = options.session || Backbone.IdGenerator.random(4) +
+        (new Date().getTime()).toString(36).slice(-4);
+    this.counter = 0;
+};
+
+Backbone.IdGenerator.key = "btp-client";
+
+Backbone.IdGenerator.random = function(length) {
+    var text = "";
+    while (text.length < length) {
+        text += Math.floor(Math.random() * 36).toString(36);
+    }
+    return text;
+};
+
+// The one every collection uses unless it is given its own.
+Backbone.IdGenerator.shared = function() {
+    return Backbone.IdGenerator.instance ||
+        (Backbone.IdGenerator.instance = new Backbone.IdGenerator());
+};
+
+_.extend(Backbone.IdGenerator.prototype, {
+    next: function() {
+        return [this.client, this.session, (this.counter++).toString(36)].join("-");
+    },
+
+    // Without storage (private browsing, say) the client part is only random.
+    load_client: function() {
+        var key = Backbone.IdGenerator.key, client = null;
+        try {
+            client = this.storage && this.storage.getItem(key);
+            if (!client) {
+                client = Backbone.IdGenerator.random(8);
+                if (this.storage) this.storage.setItem(key, client);
+            }
+        } catch (e) {
+            client = client || Backbone.IdGenerator.random(8);
+        }
+        return client;
+    }
+});
+
+
+// Namespaces
+// ----------
+//
+// Several collections can share one adapter, each owning the objects whose
+// ids are its `namespace` and a dot: "member.ann" is model "ann" in the
+// collection whose namespace is "member". An object whose whole id is a
+// namespace ("company") is the model of that id in its collection. A
+// collection without a namespace gets whatever no other collection claims.
+//
+// The hub does the routing. There is one per adapter, made by the first
+// collection to use it; it starts the adapter and owns the write queue the
+// collections share.
+Backbone.SimperiumHub = function(adapter, options) {
+    _.bindAll(this, "notify", "notify_batch", "get_data");
+    this.adapter = adapter;
+    this.collections = [];
+    this.queue = new Backbone.SyncQueue(adapter, options);
+    adapter.set_get_data(this.get_data);
+    adapter.bind("notify", this.notify);
+    adapter.bind("notify_batch", this.notify_batch);
+};
+
+_.extend(Backbone.SimperiumHub.prototype, {
+    add: function(collection) {
+        this.collections.push(collection);
+        if (!this.started) {
+            this.started = true;
+            this.adapter.start();
+        }
+        this.queue.flush();
+    },
+
+    // {collection, id} for a bucket id, or null when nobody wants it.
+    route: function(bucket_id) {
+        var fallback = null;
+        for (var i = 0; i < this.collections.length; i++) {
+            var collection = this.collections[i], ns = collection.namespace;
+            if (!ns) {
+                fallback || (fallback = collection);
+            } else if (bucket_id == ns) {
+                return {collection: collection, id: bucket_id};
+            } else if (bucket_id.substr(0, ns.length + 1) == ns + ".") {
+                return {collection: collection, id: bucket_id.substr(ns.length + 1)};
+            }
+        }
+        return fallback && {collection: fallback, id: bucket_id};
+    },
+
+    notify: function(bucket_id, data) {
+        var route = this.route(bucket_id);
+        if (route) route.collection.remote_update(route.id, data);
+    },
+
+    notify_batch: function(changes) {
+        var split = [];
+        for (var bucket_id in changes) {
+            var route = this.route(bucket_id);
+            if (!route) continue;
+            var part = _.detect(split, function(p) { return p.collection === route.collection; });
+            if (!part) split.push(part = {collection: route.collection, changes: {}});
+            part.changes[route.id] = changes[bucket_id];
+        }
+        _.each(split, function(part) { part.collection.remote_batch(part.changes); });
+    },
+
+    get_data: function(bucket_id) {
+        var route = this.route(bucket_id);
+        return route ? route.collection.get_data(route.id) : null;
+    }
+});
+
+
 Backbone.SimperiumCollection = Backbone.Collection.extend({
+    queue_prefix: "btp-queue:",
+
+    // See "Namespaces" above.
+    namespace: null,
+
+    // Where new models get their ids: anything with a next(), by default
+    // the page's Backbone.IdGenerator.
+    id_generator: null,
+
+    // How hard Backbone.SyncQueue tries before a save fails, and how long it
+    // gathers rapid changes to one model into a single write; see above.
+    // Collections sharing an adapter go by the first one's settings.
+    retries: 3,
+    retry_delay: 1000,
+    timeout: 10000,
+    coalesce: 0,
+
+    // Fires "status" (connected, pending) whenever the adapter connects or
+    // disconnects or the number of unsent writes changes. `author` names
+    // whoever is making this client's changes, for the history below;
+    // `namespace`, `schema`, `position` and `id_generator` can be given here
+    // too.
     initialize: function(models, options) {
-        _.bindAll(this, "remote_update", "get_data");
-        this.simperium = options.simperium;
-        this.simperium.set_notify(this.remote_update);
-        this.simperium.set_get_data(this.get_data);
-        this.simperium.start();
+        _.bindAll(this, "remote_update", "remote_batch", "get_data", "status_changed");
+        this.author = options.author || this.author;
+        this.namespace = options.namespace || this.namespace;
+        this.schema = options.schema || this.schema;
+        this.position = options.position || this.position;
+        this.id_generator = options.id_generator || this.id_generator ||
+            Backbone.IdGenerator.shared();
+        this.versions = {};
+        this.known = {};
+        this.undo_stack = [];
+        this.redo_stack = [];
+        // options.simperium (a bare bucket) is still accepted
+        this.adapter = options.adapter ||
+            new Backbone.SimperiumAdapter({bucket: options.simperium});
+        this.hub = this.adapter.hub || (this.adapter.hub = new Backbone.SimperiumHub(this.adapter, {
+            key: this.adapter.name && this.queue_prefix + this.adapter.name,
+            session: Backbone.IdGenerator.shared().session,
+            retries: this.retries,
+            retry_delay: this.retry_delay,
+            timeout: this.timeout,
+            coalesce: this.coalesce
+        }));
+        this.queue = this.hub.queue;
+        if (this.position) {
+            this.comparator || (this.comparator = this.position_comparator);
+            this.bind("change:" + this.position, function(model, value, options) {
+                // a batch sorts once it is all in; see batch_done()
+                if (!options.batch) this.sort({origin: options.origin});
+            }, this);
+        }
+        this.adapter.bind("connect disconnect", this.status_changed);
+        this.queue.bind("change", this.status_changed);
+        this.hub.add(this);
+    },
+
+    // Where model `id` lives in the bucket, and back; local_id() is null for
+    // objects that belong to another collection.
+    bucket_id: function(id) {
+        if (!this.namespace || id == this.namespace) return id;
+        return this.namespace + "." + id;
     },
 
+    local_id: function(bucket_id) {
+        var route = this.hub.route(bucket_id);
+        return route && route.collection === this ? route.id : null;
+    },
+
+    sync_status: function() {
+        return {connected: this.adapter.connected, pending: this.queue.length()};
+    },
+
+    status_changed: function() {
+        var status = this.sync_status();
+        this.trigger("status", status.connected, status.pending);
+    },
+
+    // Applies a change that came from the bucket. Nothing here goes back out
+    // through Backbone.sync, and the add/change/remove events it fires carry
+    // {origin: "remote"}; local edits never do.
     remote_update: function(id, data) {
+        var options = {origin: "remote"};
         var model = this.get(id);
+        // our own unsent write wins; it goes out as soon as we reconnect
+        if (this.queue.pending(this.bucket_id(id))) return;
+        var meta = this.unstamp(data);
+        data = meta.data;
+        if (this.rejected(id, data)) return;
+        this.remember(id, data, meta.meta);
         if (data == null) {
             if (model) {
-                model.destroy();
+                this.remove(model, options);
             }
         } else {
             if (model) {
-                model.set(data);
+                model.set(data, options);
+            } else {
+                model = new this.model(data);
+                model.id = id;
+                this.add(model, options);
+            }
+        }
+    },
+
+    // Several objects changed together (see save_batch). They are applied
+    // quietly and announced with a single "reset", {origin: "remote"}, after
+    // each changed model's own "change" events.
+    remote_batch: function(changes) {
+        var options = {origin: "remote"};
+        var quiet = {origin: "remote", silent: true};
+        var changed = [];
+        for (var id in changes) {
+            if (this.queue.pending(this.bucket_id(id))) continue;
+            var meta = this.unstamp(changes[id]);
+            var data = meta.data;
+            if (this.rejected(id, data)) continue;
+            this.remember(id, data, meta.meta);
+            var model = this.get(id);
+            if (data == null) {
+                if (model) this.remove(model, quiet);
+            } else if (model) {
+                model.set(data, quiet);
+                changed.push(model);
             } else {
                 model = new this.model(data);
                 model.id = id;
-                this.add(model);
+                this.add(model, quiet);
+            }
+        }
+        this.batch_done(changed, options);
+    },
+
+    // Saves changes to several models as one write, so other clients see
+    // them all at once instead of one half-applied step at a time.
+    // `changes` maps model ids to the attributes to set on them:
+    //
+    //     collection.save_batch({a: {order: 1}, b: {order: 2}});
+    //
+    // Like a model save, the attributes are set right away; the models fire
+    // their "change" events and this collection one "reset" when they are,
+    // then options.success(collection) or options.error(collection, reason)
+    // once the write lands or fails.
+    save_batch: function(changes, options) {
+        options = options ? _.clone(options) : {};
+        var quiet = _.extend({}, options, {silent: true});
+        var collection = this;
+        var success = options.success;
+        var error = Backbone.wrapError(options.error, this, options);
+        var data = {}, id, model;
+        for (id in changes) {
+            model = this.get(id);
+            if (!model) continue;
+            var problems = this.invalid(_.extend(model.toJSON(), changes[id]));
+            if (problems.length) {
+                error(collection, "invalid " + id + ": " + problems.join(", "));
+                return false;
             }
         }
+        var changed = [];
+        for (id in changes) {
+            model = this.get(id);
+            if (!model) continue;
+            if (!model.set(changes[id], quiet)) return false;
+            data[id] = model.toJSON();
+            changed.push(model);
+        }
+        this.batch_done(changed, options);
+
+        this.write(data, {
+            batch   : true,
+            success : function() { if (success) success(collection); },
+            error   : function(reason) { error(collection, reason); }
+        });
+        return this;
+    },
+
+    // Ordering
+    // --------
+    //
+    // Setting `position` to an attribute name keeps the collection in an order
+    // every client agrees on, however drags interleave. Positions are numbers
+    // that a move only ever places between the neighbours' positions, so a move
+    // rewrites the moved model alone; equal positions (two people dropping
+    // into the same gap) fall back to comparing ids.
+    position: null,
+
+    position_comparator: function(a, b) {
+        var pa = a.get(this.position), pb = b.get(this.position);
+        if (pa != pb) return pa < pb ? -1 : 1;
+        var ia = a.id != null ? String(a.id) : a.cid;
+        var ib = b.id != null ? String(b.id) : b.cid;
+        return ia < ib ? -1 : ia > ib ? 1 : 0;
+    },
+
+    // Puts `model` at `index` in the current order and saves its new position.
+    // When there is no room left between its neighbours, every position is
+    // renumbered with one save_batch instead.
+    move: function(model, index, options) {
+        var others = this.without(model);
+        var before = others[index - 1], after = others[index];
+        var low = before && before.get(this.position);
+        var high = after && after.get(this.position);
+        var position;
+        if (before == null && after == null) {
+            position = 1;
+        } else if (before == null) {
+            position = high - 1;
+        } else if (after == null) {
+            position = low + 1;
+        } else {
+            position = low + (high - low) / 2;
+        }
+
+        if (before == null || after == null || (position > low && position < high)) {
+            var attrs = {};
+            attrs[this.position] = position;
+            return model.save(attrs, options);
+        }
+
+        var changes = {}, attr = this.position;
+        others.splice(index, 0, model);
+        _.each(others, function(m, i) {
+            changes[m.id] = {};
+            changes[m.id][attr] = i + 1;
+        });
+        return this.save_batch(changes, options);
+    },
+
+    // Ends a batch of quiet sets to `models`. Their "change" events go out
+    // now, marked `batch`, so that Backbone takes the new values as the ones
+    // to compare later sets with; then the collection is sorted, once.
+    batch_done: function(models, options) {
+        var batched = _.extend({}, options, {batch: true});
+        _.each(models, function(model) { model.change(batched); });
+        if (this.comparator) {
+            this.sort(options);
+        } else {
+            this.trigger('reset', this, options);
+        }
+    },
+
+    // What is wrong with `data` according to `schema` (a js/schema.js schema
+    // or the name of a registered one); nothing if there is no schema.
+    // Checked before every write and on everything that arrives.
+    schema: null,
+
+    invalid: function(data) {
+        if (!this.schema || data == null) return [];
+        return Schema.validate(this.schema, data);
+    },
+
+    // Logs and drops objects from the bucket that don't fit the schema.
+    rejected: function(id, data) {
+        var problems = this.invalid(data);
+        if (!problems.length) return false;
+        console.log("rejected " + id + ": " + problems.join(", "));
+        return true;
     },
 
     get_data: function(id) {
         var model = this.get(id);
         if (model) {
-            return model.toJSON();
+            var data = model.toJSON();
+            if (this.known[id]) data.___meta = this.known[id].meta;
+            return data;
         }
         return null;
     },
+
+    // Every local write goes through here on its way to the queue: checked
+    // against the schema, stamped with our author and the time, added to the
+    // history and, unless `options.undoing`, to the undo stack. `changes` is
+    // {id: data or null}; `options.batch` writes them as one.
+    write: function(changes, options) {
+        options || (options = {});
+        var id, problems;
+        for (id in changes) {
+            problems = this.invalid(changes[id]);
+            if (problems.length) {
+                if (options.error) options.error("invalid " + id + ": " + problems.join(", "));
+                return false;
+            }
+        }
+
+        var meta = {author: this.author, at: new Date().getTime()};
+        var stamped = {}, action = {};
+        for (id in changes) {
+            action[id] = {before: this.known[id] ? this.known[id].data : null, after: changes[id]};
+            stamped[this.bucket_id(id)] = changes[id] == null ? null :
+                _.extend({}, changes[id], {___meta: meta});
+            this.remember(id, changes[id], meta);
+        }
+        if (!options.undoing) this.push_undo(action);
+
+        if (options.batch) {
+            this.queue.push_batch(stamped, options.success, options.error);
+        } else {
+            for (id in stamped) {
+                this.queue.push(id, stamped[id], options.success, options.error);
+            }
+        }
+        return true;
+    },
+
+    // History
+    // -------
+    //
+    // Every version of every object we see, written here or elsewhere, is kept
+    // as {author, timestamp, diff}, where diff maps each attribute that changed
+    // to [before, after]; `created` or `deleted` is set when that's what it
+    // was. Writes carry their author and time in a `___meta` attribute that
+    // never reaches the models. Fires "history" whenever something is added
+    // or undone.
+    author: "anonymous",
+    history_limit: 50,
+
+    // Local changes to the same single object within this many ms undo as one.
+    undo_merge: 1000,
+
+    history_of: function(id) {
+        return (this.versions[id] || []).slice();
+    },
+
+    unstamp: function(data) {
+        if (data == null || !_.has(data, "___meta")) return {data: data, meta: null};
+        var meta = data.___meta;
+        data = _.clone(data);
+        delete data.___meta;
+        return {data: data, meta: meta};
+    },
+
+    remember: function(id, data, meta) {
+        var before = this.known[id] ? this.known[id].data : null;
+        if (_.isEqual(before, data)) return;
+        var diff = {}, key;
+        for (key in before) {
+            if (!_.isEqual(before[key], data && data[key])) diff[key] = [before[key], data && data[key]];
+        }
+        for (key in data) {
+            if (!before || !_.has(before, key)) diff[key] = [undefined, data[key]];
+        }
+        var version = {
+            author      : meta && meta.author || "unknown",
+            timestamp   : meta && meta.at || new Date().getTime(),
+            diff        : diff
+        };
+        if (before == null) version.created = true;
+        if (data == null) version.deleted = true;
+
+        var versions = this.versions[id] || (this.versions[id] = []);
+        versions.push(version);
+        if (versions.length > this.history_limit) versions.shift();
+        if (data == null) {
+            delete this.known[id];
+        } else {
+            this.known[id] = {data: _.clone(data), meta: meta};
+        }
+        this.trigger("history", id, version);
+    },
+
+    push_undo: function(action) {
+        var last = _.last(this.undo_stack);
+        var ids = _.keys(action);
+        var now = new Date().getTime();
+        this.redo_stack = [];
+        if (last && ids.length == 1 && _.isEqual(_.keys(last.changes), ids) &&
+                now - last.at < this.undo_merge) {
+            last.changes[ids[0]].after = action[ids[0]].after;
+            last.at = now;
+        } else {
+            this.undo_stack.push({changes: action, at: now});
+            if (this.undo_stack.length > this.history_limit) this.undo_stack.shift();
+        }
+    },
+
+    can_undo: function() { return this.undo_stack.length > 0; },
+    can_redo: function() { return this.redo_stack.length > 0; },
+
+    // Puts back what our last change replaced, whoever has changed it since.
+    undo: function(options) {
+        var action = this.undo_stack.pop();
+        if (!action) return false;
+        this.redo_stack.push(action);
+        return this.replay(action, "before", options);
+    },
+
+    redo: function(options) {
+        var action = this.redo_stack.pop();
+        if (!action) return false;
+        this.undo_stack.push(action);
+        return this.replay(action, "after", options);
+    },
+
+    replay: function(action, side, options) {
+        options = _.extend({origin: "undo"}, options);
+        var quiet = _.extend({}, options, {silent: true});
+        var ids = _.keys(action.changes);
+        var one = ids.length == 1 ? options : quiet;
+        var changes = {}, changed = [];
+        _.each(ids, function(id) {
+            var data = action.changes[id][side];
+            var model = this.get(id);
+            changes[id] = data;
+            if (data == null) {
+                if (model) this.remove(model, one);
+            } else if (model) {
+                var gone = _.difference(_.keys(model.attributes), _.keys(data));
+                _.each(gone, function(key) { model.unset(key, quiet); });
+                model.set(data, one);
+                changed.push(model);
+            } else {
+                model = new this.model(data);
+                model.id = id;
+                this.add(model, one);
+            }
+        }, this);
+        if (ids.length > 1) this.batch_done(changed, options);
+
+        var collection = this;
+        var error = Backbone.wrapError(options.error, this, options);
+        this.write(changes, {
+            undoing : true,
+            batch   : ids.length > 1,
+            success : options.success,
+            error   : function(reason) { error(collection, reason); }
+        });
+        this.trigger("history");
+        return true;
+    }
 });
 
 Backbone.sync = function(method, model, options) {
     console.log("method:" +method+ " model: " +model+ "/" +JSON.stringify(model.toJSON())+
                     " options: " +JSON.stringify(options));
     if (!model) return;
-    var S4 = function() {
-        return (((1 + Math.random()) * 0x10000) | 0).toString(16).substring(1);
+
+    // Failures reach options.error, which Backbone turns into an "error" event
+    // on the model (and so on its collection) unless the caller handles it.
+    var error = function(reason) {
+        console.log("sync error: " + reason);
+        if (options.error) options.error(model, reason);
     };
 
-    var simperium = model.simperium || model.collection && model.collection.simperium;
-    if (!simperium) return;
+    var adapter = model.adapter || model.collection && model.collection.adapter;
+    if (!adapter) return error("no bucket");
+    var collection = model.collection;
+    // ids here are the model's own; collection.write() namespaces them
+    var write = function(id, data) {
+        var changes = {};
+        changes[id] = data;
+        if (collection && collection.write) {
+            collection.write(changes, {
+                success : function() { options.success(); },
+                error   : error
+            });
+        } else {
+            adapter.update(id, data, function(reason) {
+                reason ? error(reason) : options.success();
+            });
+        }
+    };
 
     var isModel = !(typeof model.isNew === 'undefined');
     console.log("isModel: "+isModel);
     if (isModel) {
         if (model.isNew()) {
-            model.id = S4()+S4()+S4()+S4()+S4();
+            var ids = collection && collection.id_generator || Backbone.IdGenerator.shared();
+            model.id = ids.next();
             model.trigger("change:id", model, model.collection, {});
         }
 
         switch (method) {
-            case "read"     : options.success(simperium.get(model.id)); break;
+            case "read"     :
+                options.success(adapter.get(collection ? collection.bucket_id(model.id) : model.id));
+                break;
             case "create"   :
-            case "update"   : simperium.update(model.id, model.toJSON()); options.success(); break;
-            case "delete"   : simperium.update(model.id, null); options.success(); break;
+            case "update"   : write(model.id, model.toJSON()); break;
+            case "delete"   : write(model.id, null); break;
         }
     } else {
         switch (method) {
             case "read"     : {
-                var init_data = []
-//                    var data = simperium.get_all_data();
-                var data = {};
-                for (id in data) {
-                    if ('id' in data[id]) {
-                        data[id]['___id'] = data[id].id;
-                    }
-                    data[id].id = id
-                    init_data.push(data[id]);
-                }
-                options.success(init_data);
-                model.each(function(model) {
-                    var id = model.id;
-                    if (model.has('___id')) {
-                        model.set({id:model.get('___id')}, {silent: true})
-                        model.unset('___id', {silent: true});
-                    } else {
-                        model.unset('id', {silent:true});
+                // waits until the adapter has the whole bucket, so a late
+                // joiner gets everybody at once instead of via notifies
+                adapter.get_all_data(function(data) {
+                    if (model.queue) model.queue.overlay(data);
+                    var init_data = [];
+                    for (var bucket_id in data) {
+                        var id = model.local_id ? model.local_id(bucket_id) : bucket_id;
+                        if (id == null) continue;
+                        var meta = model.unstamp ? model.unstamp(data[bucket_id]) : {data: data[bucket_id]};
+                        if (model.rejected && model.rejected(id, meta.data)) continue;
+                        if (model.remember) model.remember(id, meta.data, meta.meta);
+                        var attrs = _.clone(meta.data);
+                        if ('id' in attrs) {
+                            attrs['___id'] = attrs.id;
+                        }
+                        attrs.id = id;
+                        init_data.push(attrs);
                     }
-                    model.id = id;
+                    // hold the "reset" until the ids below are put back
+                    var silent = options.silent;
+                    options.silent = true;
+                    options.success(init_data);
+                    options.silent = silent;
+                    model.each(function(model) {
+                        var id = model.id;
+                        if (model.has('___id')) {
+                            model.set({id:model.get('___id')}, {silent: true})
+                            model.unset('___id', {silent: true});
+                        } else {
+                            model.unset('id', {silent:true});
+                        }
+                        model.id = id;
+                    });
+                    if (!silent) model.trigger('reset', model, options);
                 });
                 break;
             }
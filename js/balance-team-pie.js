@@ -32,15 +32,12 @@ var User = Backbone.Model.extend({
 // User Collection
 var UserCollection = Backbone.SimperiumCollection.extend({
     model: User,
-    initialize: function(models, options) {
-        this.bind('change:order', function(){
-            this.sort()
-        }, this);
-        Backbone.SimperiumCollection.prototype.initialize.call(this, models, options);
-    },
-    comparator: function(item) {
-        return item.get('order');
-    }
+    position: 'order',
+    coalesce: 250,
+    schema: {type: 'object', required: ['order'], properties: {
+        name    : {type: 'string'},
+        order   : {type: 'number'}
+    }}
 });
 
 // Views
@@ -56,19 +53,62 @@ var UserView = Backbone.View.extend({
 });
 
 
+// Connection and unsent-changes badge on the pie page
+var SyncStatusView = Backbone.View.extend({
+    el: $("#sync-status"),
+
+    initialize: function() {
+        userCollection.bind('status', this.render, this);
+        userCollection.adapter.bind('refused', this.refused, this);
+        this.render();
+    },
+
+    // the sync server won't have us, e.g. without the right ?token=
+    refused: function(reason) {
+        $(this.el)
+            .removeClass('sync-online sync-pending sync-offline')
+            .addClass('sync-offline')
+            .text('Not let in: ' + reason);
+    },
+
+    render: function() {
+        var status = userCollection.sync_status();
+        var text, state;
+        if (!status.connected) {
+            state = 'offline';
+            text = 'Offline';
+            if (status.pending) text += ', ' + status.pending + ' unsaved';
+        } else if (status.pending) {
+            state = 'pending';
+            text = 'Saving ' + status.pending;
+        } else {
+            state = 'online';
+            text = 'Online';
+        }
+        $(this.el)
+            .removeClass('sync-online sync-pending sync-offline')
+            .addClass('sync-' + state)
+            .text(text);
+        return this;
+    }
+});
+
+
 var PieView = Backbone.View.extend({
     el: $("#pie-page"),
+    error_template: _.template($('#sync-error-template').html()),
+
+    events: {
+        "click .undo": "undo",
+        "click .redo": "redo"
+    },
 
     initialize: function() {
         // enable sorting
         $(".sortable").sortable({
             update: function(el, ui) {
-                $(this).find('li > div').each(function(i){
-                    var id = $(this).attr('data-id');
-                    item = userCollection.get(id);
-                    if(item.get('order') != i+1)
-                        item.save({order: i+1});
-                });
+                var id = ui.item.find('> div').attr('data-id');
+                userCollection.move(userCollection.get(id), ui.item.index());
             },
         });
         $(".sortable" ).disableSelection();
@@ -76,7 +116,37 @@ var PieView = Backbone.View.extend({
 
 
         userCollection.bind('all', this.render, this);
+        userCollection.bind('error', this.showError, this);
+        userCollection.bind('history', this.renderHistory, this);
         userCollection.fetch();
+
+        // ctrl-z / ctrl-shift-z (cmd on a Mac)
+        var view = this;
+        $(document).keydown(function(e) {
+            if (!(e.ctrlKey || e.metaKey) || e.which != 90) return;
+            if ($(e.target).is('input, textarea')) return;
+            e.preventDefault();
+            e.shiftKey ? view.redo() : view.undo();
+        });
+    },
+
+    undo: function() {
+        userCollection.undo();
+    },
+
+    redo: function() {
+        userCollection.redo();
+    },
+
+    renderHistory: function() {
+        this.$('.undo').toggleClass('disabled', !userCollection.can_undo());
+        this.$('.redo').toggleClass('disabled', !userCollection.can_redo());
+    },
+
+    // a vote or reorder that never reached the bucket
+    showError: function(model, reason) {
+        var name = model.get && model.get('name') || 'your change';
+        $("#sync-errors").append(this.error_template({name: name, reason: reason}));
     },
 
     render: function() {
@@ -91,13 +161,27 @@ var PieView = Backbone.View.extend({
 });
 
 
+// There is no signing in, so the change history knows each browser by a
+// made-up name that sticks around between visits.
+function author_name() {
+    var name = window.localStorage && localStorage.getItem('btp-author');
+    if (!name) {
+        name = 'guest-' + Math.floor(Math.random() * 0x10000).toString(16);
+        if (window.localStorage) localStorage.setItem('btp-author', name);
+    }
+    return name;
+}
+
+
 function start_pie(pie_name) {
     $('#splash-page').hide();
     $('#pie-page').show();
 
-    userBucket = new Simperium(SIMPERIUM_APP_ID, pie_name, SIMPERIUM_OPTS);
-    userCollection = new UserCollection([], {simperium:userBucket});
+    var adapter = Backbone.StorageAdapter.pick(SIMPERIUM_APP_ID, pie_name, SIMPERIUM_OPTS);
+    userBucket = adapter.bucket;
+    userCollection = new UserCollection([], {adapter: adapter, author: author_name()});
     pieView = new PieView;
+    new SyncStatusView;
 }
 
 
@@ -0,0 +1,146 @@
+// Presence
+// --------
+//
+// Who is in a pie session right now. Every browser keeps a heartbeat record
+// `presence.<session>` = {name: ..., seen: <ms>} in the bucket, rewritten
+// every `interval` ms and deleted when the page is closed. Anybody we haven't
+// heard from for `timeout` ms is taken to have left, and their record is
+// deleted, so a tab that crashed leaves nothing behind for long.
+//
+// How long ago we heard from someone goes by our own clock, from when their
+// record reached us; `seen` only makes every beat a change, as the other
+// browser's clock may be well off ours. Records that were already in the
+// bucket when we started may be anybody's leftovers, so their owners only
+// count as here once they beat again.
+//
+//     var presence = new Presence(bucket, {
+//         name    : 'Ann',
+//         join    : function(name) {...},
+//         leave   : function(name) {...},
+//         change  : function(names) {...}    // everybody here, sorted
+//     });
+//     presence.start();
+//
+// The bucket has a single notify callback, so whoever owns it passes
+// notifications through presence.notify(id, data) first; it returns true for
+// presence records, which belong to nobody else.
+
+var Presence = function(bucket, options) {
+    options || (options = {});
+    this.bucket = bucket;
+    this.name = options.name || '';
+    this.interval = options.interval || 10000;
+    this.timeout = options.timeout || this.interval * 3;
+    // a new name goes out once typing has paused this long
+    this.name_delay = options.name_delay || 1000;
+    this.join = options.join || function(name) {};
+    this.leave = options.leave || function(name) {};
+    this.change = options.change || function(names) {};
+    this.session = options.session || Presence.make_session();
+    this.peers = {};
+    // sessions with a record in the bucket but not (yet) here: {session: heard}
+    this.unconfirmed = {};
+    _.bindAll(this, 'beat', 'sweep', 'stop');
+};
+
+Presence.prefix = 'presence.';
+
+Presence.make_session = function() {
+    return (new Date().getTime()).toString(36) +
+        Math.floor(Math.random() * 0x100000000).toString(36);
+};
+
+Presence.prototype = {
+    start: function() {
+        if (this.started) return;
+        this.started = true;
+        this.beat();
+        this.beat_timer = setInterval(this.beat, this.interval);
+        this.sweep_timer = setInterval(this.sweep, this.interval);
+        $(window).bind('beforeunload', this.stop);
+    },
+
+    stop: function() {
+        if (!this.started) return;
+        this.started = false;
+        clearInterval(this.beat_timer);
+        clearInterval(this.sweep_timer);
+        clearTimeout(this.name_timer);
+        this.bucket.update(Presence.prefix + this.session, null);
+    },
+
+    set_name: function(name) {
+        if (name == this.name) return;
+        this.name = name;
+        if (!this.started) return;
+        clearTimeout(this.name_timer);
+        this.name_timer = setTimeout(this.beat, this.name_delay);
+    },
+
+    beat: function() {
+        this.bucket.update(Presence.prefix + this.session,
+            {name: this.name, seen: new Date().getTime()});
+    },
+
+    notify: function(id, data) {
+        if (id.substr(0, Presence.prefix.length) != Presence.prefix) return false;
+        var session = id.substr(Presence.prefix.length);
+        if (session == this.session) return true;
+
+        var now = new Date().getTime();
+        var peer = this.peers[session];
+        if (data == null) {
+            delete this.unconfirmed[session];
+            if (peer) this.gone(session);
+            return true;
+        }
+        if (!this.started) {
+            this.unconfirmed[session] = now;
+            return true;
+        }
+        delete this.unconfirmed[session];
+        this.peers[session] = {name: data.name, heard: now};
+        if (!peer) {
+            this.join(this.label(data.name));
+            this.change(this.names());
+        } else if (peer.name != data.name) {
+            this.change(this.names());
+        }
+        return true;
+    },
+
+    sweep: function() {
+        var now = new Date().getTime(), session;
+        for (session in this.peers) {
+            if (now - this.peers[session].heard > this.timeout) {
+                this.gone(session);
+                this.bucket.update(Presence.prefix + session, null);
+            }
+        }
+        for (session in this.unconfirmed) {
+            if (now - this.unconfirmed[session] > this.timeout) {
+                delete this.unconfirmed[session];
+                this.bucket.update(Presence.prefix + session, null);
+            }
+        }
+    },
+
+    gone: function(session) {
+        var peer = this.peers[session];
+        delete this.peers[session];
+        this.leave(this.label(peer.name));
+        this.change(this.names());
+    },
+
+    // Everybody here including us.
+    names: function() {
+        var self = this;
+        var names = _.map(_.values(this.peers), function(peer) { return self.label(peer.name); });
+        names.push(this.label(this.name) + ' (you)');
+        return names.sort();
+    },
+
+    label: function(name) {
+        return name || 'Someone new';
+    }
+};
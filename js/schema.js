@@ -0,0 +1,115 @@
+// Schema
+// ------
+//
+// Checks objects against small declarative schemas before they are written to
+// a bucket or trusted after coming out of one. A schema is an object with
+// any of:
+//
+//   type           "object", "array", "string", "number" or "boolean"
+//   nullable       null is fine too
+//   allow_string   (numbers) numeric strings count, as older records have them
+//   integer        (numbers) whole numbers only
+//   minimum, maximum
+//   min_length     (strings)
+//   length         (arrays) exact number of items
+//   items          (arrays) schema every item must match
+//   properties     (objects) {name: schema}, checked when present
+//   values         (objects) schema every property must match, whatever its name
+//   required       (objects) property names that must be present
+//   any_of         [schema, ...], at least one of which must fit; what's wrong
+//                  according to the first is what's reported
+//
+// Wherever a schema is expected, the name of one passed to Schema.register()
+// works too:
+//
+//     Schema.register('vote', {type: 'number', integer: true, minimum: 0, maximum: 4});
+//     Schema.validate('vote', 7);     // ["must be at most 4"]
+
+var Schema = {
+    types: {},
+
+    register: function(name, schema) {
+        Schema.types[name] = schema;
+    },
+
+    // A list of everything wrong with `value`; empty when it fits.
+    validate: function(schema, value, path) {
+        var errors = [];
+        path = path || '';
+        var fail = function(message) {
+            errors.push((path ? path + ' ' : '') + message);
+            return errors;
+        };
+
+        if (typeof schema == 'string') {
+            if (!Schema.types[schema]) return fail('has unknown schema ' + schema);
+            schema = Schema.types[schema];
+        }
+        if (value == null) {
+            return schema.nullable ? errors : fail('is missing');
+        }
+        if (schema.any_of) {
+            var first = null;
+            var fits = _.any(schema.any_of, function(option) {
+                var problems = Schema.validate(option, value, path);
+                first || (first = problems);
+                return !problems.length;
+            });
+            return fits ? errors : first;
+        }
+
+        switch (schema.type) {
+            case 'object' :
+                if (!_.isObject(value) || _.isArray(value)) return fail('must be an object');
+                _.each(schema.required || [], function(name) {
+                    if (value[name] == null) fail('needs ' + name);
+                });
+                _.each(schema.properties || {}, function(property, name) {
+                    if (value[name] == null) return;
+                    var prefix = path ? path + '.' + name : name;
+                    errors.push.apply(errors, Schema.validate(property, value[name], prefix));
+                });
+                if (schema.values) {
+                    _.each(_.keys(value), function(name) {
+                        var prefix = path ? path + '.' + name : name;
+                        errors.push.apply(errors, Schema.validate(schema.values, value[name], prefix));
+                    });
+                }
+                break;
+
+            case 'array' :
+                if (!_.isArray(value)) return fail('must be a list');
+                if (schema.length != null && value.length != schema.length) {
+                    return fail('must have ' + schema.length + ' items');
+                }
+                if (schema.items) {
+                    _.each(value, function(item, i) {
+                        errors.push.apply(errors, Schema.validate(schema.items, item, path + '[' + i + ']'));
+                    });
+                }
+                break;
+
+            case 'string' :
+                if (!_.isString(value)) return fail('must be text');
+                if (schema.min_length != null && value.length < schema.min_length) {
+                    return fail(schema.min_length == 1 ? 'must not be empty' : 'is too short');
+                }
+                break;
+
+            case 'number' :
+                if (schema.allow_string && _.isString(value) && value !== '' && !isNaN(value)) {
+                    value = Number(value);
+                }
+                if (!_.isNumber(value) || isNaN(value)) return fail('must be a number');
+                if (schema.integer && Math.floor(value) !== value) return fail('must be a whole number');
+                if (schema.minimum != null && value < schema.minimum) return fail('must be at least ' + schema.minimum);
+                if (schema.maximum != null && value > schema.maximum) return fail('must be at most ' + schema.maximum);
+                break;
+
+            case 'boolean' :
+                if (!_.isBoolean(value)) return fail('must be true or false');
+                break;
+        }
+        return errors;
+    }
+};
@@ -0,0 +1,148 @@
+// Scoring
+// -------
+//
+// Turns a team's votes into the numbers the pie is drawn from. Works in the
+// browser (as the global `Scoring`) and in Node (require('./js/scoring')),
+// and needs nothing else.
+//
+// A team is {member: {scores: ...}, ...}, one entry per vote record, each
+// score a number on the pie's scale or a string holding one. Scores are a
+// list, by position, or an object keyed by whatever the categories are
+// known by (competency ids, say); Scoring.group() makes a list of the
+// latter, which metrics() and total() want. Missing and unreadable scores
+// count as no vote. A scale is {min, max, step}; without one, or for
+// whatever it leaves out, Scoring.scale (0 to 4 in steps of 1) applies.
+//
+//     var team = Scoring.group(users, [['ux'], ['front', 'back']]);
+//     var metrics = Scoring.metrics(team, 2, scale);
+//     metrics.overlap[1]      // percent, 0..100, for the second group
+//     metrics.weights[1][3]   // shading of ring 3 of its slice
+//     metrics.total           // average overlap, percent
+
+(function(root, factory) {
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Scoring = factory();
+    }
+})(this, function() {
+
+    var Scoring = {
+        scale: {min: 0, max: 4, step: 1},
+
+        // `scale` with the blanks filled in from Scoring.scale.
+        scale_of: function(scale) {
+            var result = {};
+            for (var key in Scoring.scale) {
+                result[key] = scale && scale[key] != null ? Number(scale[key]) : Scoring.scale[key];
+            }
+            return result;
+        },
+
+        // Every point on the scale, lowest first.
+        levels: function(scale) {
+            scale = Scoring.scale_of(scale);
+            var step = scale.step > 0 ? scale.step : (scale.max - scale.min) || 1;
+            var levels = [];
+            for (var i = 0; scale.min + i * step <= scale.max + 1e-9; i++) {
+                levels.push(Math.round((scale.min + i * step) * 1e9) / 1e9);
+            }
+            return levels;
+        },
+
+        members: function(team) {
+            var members = [];
+            for (var name in team) {
+                if (Object.prototype.hasOwnProperty.call(team, name) && team[name]) {
+                    members.push(team[name]);
+                }
+            }
+            return members;
+        },
+
+        // A member's score for `category`, or null without a usable one.
+        score: function(member, category) {
+            var value = member.scores ? member.scores[category] : null;
+            if (value == null || value === '') return null;
+            value = Number(value);
+            return isNaN(value) ? null : value;
+        },
+
+        // `team` with each member's scores for every list of categories in
+        // `groups` averaged into one, e.g. a competency's from its skills'.
+        // Categories a member left without a score are left out.
+        group: function(team, groups) {
+            var result = {};
+            for (var name in team) {
+                if (!Object.prototype.hasOwnProperty.call(team, name) || !team[name]) continue;
+                var scores = [];
+                for (var i = 0; i < groups.length; i++) {
+                    var sum = 0, count = 0;
+                    for (var j = 0; j < groups[i].length; j++) {
+                        var score = Scoring.score(team[name], groups[i][j]);
+                        if (score == null) continue;
+                        sum += score;
+                        count++;
+                    }
+                    scores.push(count ? sum / count : null);
+                }
+                result[name] = {scores: scores};
+            }
+            return result;
+        },
+
+        // 0.2 for every member who rated `category` at `level` or above.
+        weight: function(team, category, level) {
+            var members = Scoring.members(team), ret = 0;
+            for (var i = 0; i < members.length; i++) {
+                var score = Scoring.score(members[i], category);
+                if (score != null && score >= level) ret += .2;
+            }
+            return ret;
+        },
+
+        // How much of the most the team could know about `category` it does
+        // know, as a whole percentage; the bottom of the scale counts as
+        // nothing.
+        overlap: function(team, category, scale) {
+            scale = Scoring.scale_of(scale);
+            var range = scale.max - scale.min;
+            var members = Scoring.members(team), percent = 0;
+            if (range <= 0) return 0;
+            for (var i = 0; i < members.length; i++) {
+                var score = Scoring.score(members[i], category);
+                if (score > scale.min) percent += (score - scale.min) / range / members.length;
+            }
+            return Math.round(percent * 100);
+        },
+
+        // The overlap of `count` competencies, averaged.
+        total: function(team, count, scale) {
+            if (!count) return 0;
+            var total = 0;
+            for (var i = 0; i < count; i++) total += Scoring.overlap(team, i, scale);
+            return Math.round(total / count);
+        },
+
+        // Everything above for `count` competencies at once. weights[i][k] is
+        // the weight at the k-th level of the scale, lowest first.
+        metrics: function(team, count, scale) {
+            var levels = Scoring.levels(scale);
+            var result = {
+                members : Scoring.members(team).length,
+                overlap : [],
+                weights : [],
+                total   : Scoring.total(team, count, scale)
+            };
+            for (var i = 0; i < count; i++) {
+                result.overlap.push(Scoring.overlap(team, i, scale));
+                var weights = [];
+                for (var k = 0; k < levels.length; k++) weights.push(Scoring.weight(team, i, levels[k]));
+                result.weights.push(weights);
+            }
+            return result;
+        }
+    };
+
+    return Scoring;
+});
@@ -0,0 +1,281 @@
+// LocalSimperium
+// --------------
+//
+// Stands in for simperium.js, talking to server/sync-server.js instead of
+// api.simperium.com. Only the part of the bucket API the pie uses is here:
+//
+//     var bucket = new LocalSimperium(app_id, bucket_name, {host: 'pie.local:9999'});
+//     bucket.login();
+//     bucket.set_notify(function(id, data) {...});
+//     bucket.set_initialized(function() { bucket.data.p ... });
+//     bucket.set_get_data(function(id) {...});
+//     bucket.set_connection(function(connected) {...});
+//     bucket.set_refused(function(reason) {...});
+//     bucket.start();
+//     bucket.update(id, data, function(error) {...});    // null deletes
+//     bucket.update_batch({id: data, ...}, function(error) {...});
+//     bucket.set_notify_batch(function(changes) {...});
+//     bucket.get(id);
+//
+// `host` defaults to the server the page was loaded from. `token` is sent on
+// login() when the server was started with --token; without one, the page's
+// own ?token=... is used, so a facilitator can hand out a link like
+// http://pie.local:9999/index.html?token=secret. If the server won't let us
+// into the bucket (a wrong or missing token), set_refused() hears why and
+// nothing is retried until the next start(). Updates made before the
+// socket is up are held and sent once it is; a dropped connection is retried
+// every `reconnect_delay` ms. The server acks every update; the callback
+// gets null then, or the reason if it refused the update or the connection
+// dropped before the ack came back. A batch is applied by the server as a
+// whole and reaches the other clients as one notify_batch call. A change
+// from elsewhere to an object we have an unacked update for was made before
+// ours, which replaces it, so it is neither applied nor reported.
+
+var LocalSimperium = function(app_id, name, opts) {
+    this.app_id = app_id;
+    this.name = name;
+    this.opts = opts || {};
+    this.host = this.opts.host || window.location.host;
+    this.token = this.opts.token || LocalSimperium.page_token();
+    this.reconnect_delay = this.opts.reconnect_delay || 2000;
+    this.data = {};
+    this.objects = {};
+    this.outbox = [];
+    this.connected = false;
+    this.notify = function(id, data) {};
+    this.notify_batch = function(changes) {};
+    this.initialized = function() {};
+    this.get_data = function(id) { return null; };
+    this.connection = function(connected) {};
+    this.refused = function(reason) {};
+    this.ccid = 0;
+    this.callbacks = {};
+    this.unacked = {};
+};
+
+LocalSimperium.prototype = {
+    acks: true,
+
+    set_notify: function(fn) { this.notify = fn; },
+    set_notify_batch: function(fn) { this.notify_batch = fn; },
+    set_initialized: function(fn) { this.initialized = fn; },
+    set_get_data: function(fn) { this.get_data = fn; },
+    set_connection: function(fn) { this.connection = fn; },
+    set_refused: function(fn) { this.refused = fn; },
+
+    login: function() {
+        this.logged_in = true;
+    },
+
+    start: function() {
+        this.stopped = false;
+        this.connect();
+    },
+
+    stop: function() {
+        this.stopped = true;
+        if (this.socket) this.socket.close();
+    },
+
+    get: function(id) {
+        return this.objects.hasOwnProperty(id) ? this.objects[id] : null;
+    },
+
+    update: function(id, data, callback) {
+        this.write({cmd: 'update', id: id, data: data}, callback);
+    },
+
+    update_batch: function(changes, callback) {
+        this.write({cmd: 'batch', changes: changes}, callback);
+    },
+
+    write: function(msg, callback) {
+        msg.ccid = String(++this.ccid);
+        if (callback) this.callbacks[msg.ccid] = callback;
+        this.unacked[msg.ccid] = msg;
+        this.store(msg);
+        this.send(msg);
+    },
+
+    // Applies one of our own update or batch messages to the local copy.
+    store: function(msg) {
+        var changes = msg.changes;
+        if (msg.cmd == 'update') {
+            changes = {};
+            changes[msg.id] = msg.data;
+        }
+        for (var id in changes) {
+            if (changes[id] == null) {
+                delete this.objects[id];
+            } else {
+                this.objects[id] = changes[id];
+            }
+        }
+    },
+
+    send: function(msg) {
+        if (this.connected) {
+            this.socket.send(JSON.stringify(msg));
+        } else {
+            this.outbox.push(msg);
+        }
+    },
+
+    connect: function() {
+        var self = this;
+        var scheme = window.location.protocol == 'https:' ? 'wss://' : 'ws://';
+        var socket = this.socket = new WebSocket(scheme + this.host + '/');
+
+        socket.onopen = function() {
+            if (self.logged_in) {
+                socket.send(JSON.stringify({cmd: 'login', token: self.token}));
+            }
+            socket.send(JSON.stringify({cmd: 'init', app_id: self.app_id, bucket: self.name}));
+        };
+        socket.onmessage = function(e) {
+            self.receive(JSON.parse(e.data));
+        };
+        socket.onclose = function() {
+            if (self.connected) {
+                self.connected = false;
+                self.connection(false);
+            }
+            for (var ccid in self.unacked) {
+                if (!self.outbox_has(ccid)) delete self.unacked[ccid];
+            }
+            var callbacks = self.callbacks;
+            self.callbacks = {};
+            for (ccid in callbacks) {
+                if (self.outbox_has(ccid)) {
+                    self.callbacks[ccid] = callbacks[ccid];
+                } else {
+                    callbacks[ccid]('disconnected');
+                }
+            }
+            if (!self.stopped) {
+                setTimeout(function() { self.connect(); }, self.reconnect_delay);
+            }
+        };
+    },
+
+    receive: function(msg) {
+        switch (msg.cmd) {
+            case 'init'     : this.init(msg); break;
+            case 'notify'   : this.remote(msg.id, msg.data); break;
+            case 'batch'    : this.remote_batch(msg.changes); break;
+            case 'ack'      : this.acked(msg.ccid, null); break;
+            case 'error'    :
+                if (window.console) console.log('sync error: ' + msg.error);
+                if (msg.ccid == null && !this.connected && !this.stopped) {
+                    // about login or init: we're not getting in
+                    this.stop();
+                    this.refused(msg.error);
+                    break;
+                }
+                this.acked(msg.ccid, msg.error);
+                break;
+        }
+    },
+
+    acked: function(ccid, error) {
+        delete this.unacked[ccid];
+        var callback = this.callbacks[ccid];
+        if (!callback) return;
+        delete this.callbacks[ccid];
+        callback(error);
+    },
+
+    // Whether an update of ours to `id` hasn't been acked yet.
+    writing: function(id) {
+        for (var ccid in this.unacked) {
+            var msg = this.unacked[ccid];
+            if (msg.cmd == 'update' ? msg.id == id : msg.changes.hasOwnProperty(id)) return true;
+        }
+        return false;
+    },
+
+    outbox_has: function(ccid) {
+        for (var i = 0; i < this.outbox.length; i++) {
+            if (this.outbox[i].ccid == ccid) return true;
+        }
+        return false;
+    },
+
+    // The server sends the whole bucket on (re)connect: report anything that
+    // changed while we were away, then flush what we wrote in the meantime.
+    // Objects we still have unsent writes for keep their local value.
+    init: function(msg) {
+        var previous = this.objects;
+        var outbox = this.outbox;
+        var pending = {};
+        var id, i;
+        for (i = 0; i < outbox.length; i++) {
+            if (outbox[i].cmd == 'update') pending[outbox[i].id] = true;
+            for (id in outbox[i].changes) pending[id] = true;
+        }
+
+        this.data = msg.data;
+        this.objects = {};
+        this.outbox = [];
+        this.connected = true;
+
+        for (id in msg.objects) {
+            if (!pending[id]) this.remote(id, msg.objects[id], previous);
+        }
+        for (id in previous) {
+            if (!pending[id] && !msg.objects.hasOwnProperty(id)) this.remote(id, null, previous);
+        }
+        for (i = 0; i < outbox.length; i++) {
+            this.store(outbox[i]);
+            this.send(outbox[i]);
+        }
+        this.connection(true);
+
+        if (!this.was_initialized) {
+            this.was_initialized = true;
+            this.initialized();
+        }
+    },
+
+    remote: function(id, data, previous) {
+        if (this.writing(id)) return;
+        previous = previous || this.objects;
+        var changed = JSON.stringify(previous[id]) !== JSON.stringify(data == null ? undefined : data);
+        if (data == null) {
+            delete this.objects[id];
+        } else {
+            this.objects[id] = data;
+        }
+        if (changed) this.notify(id, data);
+    },
+
+    remote_batch: function(changes) {
+        var changed = {}, any = false;
+        for (var id in changes) {
+            var data = changes[id];
+            if (this.writing(id)) continue;
+            if (JSON.stringify(this.objects[id]) === JSON.stringify(data == null ? undefined : data)) {
+                continue;
+            }
+            if (data == null) {
+                delete this.objects[id];
+            } else {
+                this.objects[id] = data;
+            }
+            changed[id] = data;
+            any = true;
+        }
+        if (any) this.notify_batch(changed);
+    }
+};
+
+// The ?token=... the page was opened with, or null.
+LocalSimperium.page_token = function() {
+    var match = /[?&]token=([^&#]*)/.exec(window.location.search || '');
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match[1]);
+    } catch (e) {
+        return null;
+    }
+};
@@ -0,0 +1,404 @@
+// Balanced Team Pie sync server
+// =============================
+//
+// A small stand-in for api.simperium.com so a workshop can run on an internal
+// network. It serves this checkout over HTTP and speaks the bucket protocol
+// used by js/simperium-local.js over a WebSocket on the same port.
+//
+//     node server/sync-server.js [--port 9999] [--data ./data] [--token secret]
+//
+// Then open http://<this-machine>:9999/index.html (or next.html) from every
+// laptop in the room. With --data, buckets are saved as JSON files and survive
+// a restart; without it they only live in memory. Nothing under the --data
+// directory is served over HTTP, even when it is inside the checkout. With
+// --token, clients must login() with the same token before they can touch a
+// bucket; the pages take it from their own address, so hand out
+// http://<this-machine>:9999/index.html?token=secret instead. A client that
+// fails to log in gets an error without a ccid and is not let in.
+//
+// No dependencies beyond Node itself.
+//
+// Protocol (one JSON object per WebSocket text frame)
+// ---------------------------------------------------
+//
+//   client -> server
+//     {cmd: "login", token: "..."}
+//     {cmd: "init", app_id: "...", bucket: "..."}
+//     {cmd: "update", id: "...", data: {...} or null, ccid: "..."}
+//     {cmd: "batch", changes: {id: data or null, ...}, ccid: "..."}
+//
+//   server -> client
+//     {cmd: "init", data: {p: "3"}, objects: {id: data, ...}}
+//     {cmd: "notify", id: "...", data: {...} or null}
+//     {cmd: "batch", changes: {id: data or null, ...}}
+//     {cmd: "ack", ccid: "..."}
+//     {cmd: "error", error: "...", ccid: "..."}
+//
+// `data.p` is the number of objects the bucket held when the client joined, as
+// a string; the join page treats "0" as an unknown access code. Updates are
+// acked to the sender and relayed to every other client of the same bucket;
+// a batch is stored and relayed as a whole. A message (or frame) over
+// MAX_MESSAGE bytes closes the connection with status 1009.
+
+var http = require('http');
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+var WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+var ROOT = path.resolve(__dirname, '..');
+var MAX_MESSAGE = 1024 * 1024;
+var MIME = {
+    '.html' : 'text/html; charset=utf-8',
+    '.js'   : 'application/javascript; charset=utf-8',
+    '.css'  : 'text/css; charset=utf-8',
+    '.png'  : 'image/png',
+    '.jpg'  : 'image/jpeg',
+    '.gif'  : 'image/gif',
+    '.json' : 'application/json; charset=utf-8'
+};
+
+
+function parse_args(argv) {
+    var opts = {port: 9999, data: null, token: null};
+    for (var i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--port'  : opts.port = parseInt(argv[++i], 10); break;
+            case '--data'  : opts.data = path.resolve(argv[++i]); break;
+            case '--token' : opts.token = argv[++i]; break;
+        }
+    }
+    return opts;
+}
+
+
+// Buckets
+// -------
+
+function Store(dir) {
+    this.dir = dir;
+    this.buckets = {};
+    this.timers = {};
+    if (dir && !fs.existsSync(dir)) fs.mkdirSync(dir, {recursive: true});
+}
+
+Store.prototype.file = function(name) {
+    return path.join(this.dir, encodeURIComponent(name) + '.json');
+};
+
+Store.prototype.bucket = function(name) {
+    if (!this.buckets[name]) {
+        var objects = {};
+        if (this.dir && fs.existsSync(this.file(name))) {
+            try {
+                objects = JSON.parse(fs.readFileSync(this.file(name), 'utf8'));
+            } catch (e) {
+                console.error('could not read bucket ' + name + ': ' + e.message);
+            }
+        }
+        this.buckets[name] = {objects: objects, clients: []};
+    }
+    return this.buckets[name];
+};
+
+Store.prototype.update = function(name, id, data) {
+    var bucket = this.bucket(name);
+    if (data == null) {
+        delete bucket.objects[id];
+    } else {
+        bucket.objects[id] = data;
+    }
+    this.save(name);
+};
+
+// Writes are batched per bucket so a burst of votes is one disk write.
+Store.prototype.save = function(name) {
+    if (!this.dir || this.timers[name]) return;
+    var self = this;
+    this.timers[name] = setTimeout(function() {
+        delete self.timers[name];
+        fs.writeFile(self.file(name), JSON.stringify(self.bucket(name).objects),
+            function(err) {
+                if (err) console.error('could not save bucket ' + name + ': ' + err.message);
+            });
+    }, 500);
+};
+
+
+// WebSocket framing (RFC 6455, just what browsers send us)
+// ---------------------------------------------------------
+
+function accept_key(key) {
+    return crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+function encode_frame(opcode, payload) {
+    var length = payload.length, header;
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeUInt32BE(Math.floor(length / 0x100000000), 2);
+        header.writeUInt32BE(length % 0x100000000, 6);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, payload]);
+}
+
+// Pulls complete frames off the front of `buffer`. Returns the frames and
+// whatever is left over for the next chunk, with `too_big` set (and nothing
+// more decoded) once a frame says it is longer than `max` bytes.
+function decode_frames(buffer, max) {
+    var frames = [];
+    while (buffer.length >= 2) {
+        var fin = (buffer[0] & 0x80) != 0;
+        var opcode = buffer[0] & 0x0f;
+        var masked = (buffer[1] & 0x80) != 0;
+        var length = buffer[1] & 0x7f;
+        var offset = 2;
+        if (length == 126) {
+            if (buffer.length < 4) break;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length == 127) {
+            if (buffer.length < 10) break;
+            length = buffer.readUInt32BE(2) * 0x100000000 + buffer.readUInt32BE(6);
+            offset = 10;
+        }
+        if (max != null && length > max) return {frames: frames, rest: buffer, too_big: true};
+        var mask = null;
+        if (masked) {
+            if (buffer.length < offset + 4) break;
+            mask = buffer.slice(offset, offset + 4);
+            offset += 4;
+        }
+        if (buffer.length < offset + length) break;
+        var payload = Buffer.from(buffer.slice(offset, offset + length));
+        if (mask) {
+            for (var i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({fin: fin, opcode: opcode, payload: payload});
+        buffer = buffer.slice(offset + length);
+    }
+    return {frames: frames, rest: buffer};
+}
+
+function Client(socket, server) {
+    this.socket = socket;
+    this.server = server;
+    this.bucket = null;
+    this.authorized = !server.opts.token;
+    this.pending = Buffer.alloc(0);
+    this.fragments = [];
+    this.fragments_length = 0;
+    this.closed = false;
+
+    var self = this;
+    socket.on('data', function(chunk) { self.receive(chunk); });
+    socket.on('close', function() { self.server.leave(self); });
+    socket.on('error', function() { socket.destroy(); });
+}
+
+// A frame's header is read before its payload arrives, so at most one frame
+// of up to MAX_MESSAGE bytes is ever held here, and as much again in
+// fragments of a message still coming in.
+Client.prototype.receive = function(chunk) {
+    if (this.closed) return;
+    var decoded = decode_frames(Buffer.concat([this.pending, chunk]), MAX_MESSAGE);
+    this.pending = decoded.rest;
+    for (var i = 0; i < decoded.frames.length; i++) {
+        var frame = decoded.frames[i];
+        switch (frame.opcode) {
+            case 0x0 :
+            case 0x1 :
+                this.fragments.push(frame.payload);
+                this.fragments_length += frame.payload.length;
+                if (this.fragments_length > MAX_MESSAGE) return this.close(1009);
+                if (frame.fin) {
+                    var text = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.fragments_length = 0;
+                    this.message(text);
+                }
+                break;
+            case 0x8 : return this.close();
+            case 0x9 : this.socket.write(encode_frame(0xA, frame.payload)); break;
+        }
+    }
+    if (decoded.too_big) this.close(1009);
+};
+
+// Sends a close frame, with status `code` if given, and ignores the rest.
+Client.prototype.close = function(code) {
+    var payload = Buffer.alloc(code ? 2 : 0);
+    if (code) payload.writeUInt16BE(code, 0);
+    this.closed = true;
+    this.pending = Buffer.alloc(0);
+    this.fragments = [];
+    this.socket.end(encode_frame(0x8, payload));
+};
+
+Client.prototype.send = function(msg) {
+    if (!this.socket.writable) return;
+    this.socket.write(encode_frame(0x1, Buffer.from(JSON.stringify(msg), 'utf8')));
+};
+
+Client.prototype.message = function(text) {
+    var msg;
+    try {
+        msg = JSON.parse(text);
+    } catch (e) {
+        return this.send({cmd: 'error', error: 'bad message'});
+    }
+    if (!msg || typeof msg != 'object' || Array.isArray(msg)) {
+        return this.send({cmd: 'error', error: 'bad message'});
+    }
+    this.server.handle(this, msg);
+};
+
+
+// Server
+// ------
+
+function SyncServer(opts) {
+    this.opts = opts;
+    this.store = new Store(opts.data);
+    this.http = http.createServer(this.serve_file.bind(this));
+    this.http.on('upgrade', this.upgrade.bind(this));
+}
+
+SyncServer.prototype.listen = function(callback) {
+    this.http.listen(this.opts.port, callback);
+    return this;
+};
+
+SyncServer.prototype.close = function(callback) {
+    for (var name in this.store.buckets) {
+        this.store.buckets[name].clients.forEach(function(c) { c.socket.destroy(); });
+    }
+    this.http.close(callback);
+};
+
+SyncServer.prototype.serve_file = function(req, res) {
+    var url;
+    try {
+        url = decodeURIComponent(req.url.split('?')[0]);
+    } catch (e) {
+        res.writeHead(400);
+        return res.end('bad request');
+    }
+    if (url == '/') url = '/index.html';
+    var file = path.join(ROOT, path.normalize(url));
+    var data = this.opts.data;
+    if (file.indexOf(ROOT + path.sep) != 0 || /[\/\\]\./.test(url) ||
+            (data && (file == data || file.indexOf(data + path.sep) == 0))) {
+        res.writeHead(403);
+        return res.end();
+    }
+    fs.readFile(file, function(err, body) {
+        if (err) {
+            res.writeHead(404);
+            return res.end('not found');
+        }
+        res.writeHead(200, {'Content-Type': MIME[path.extname(file)] || 'application/octet-stream'});
+        res.end(body);
+    });
+};
+
+SyncServer.prototype.upgrade = function(req, socket) {
+    var key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() != 'websocket') {
+        return socket.destroy();
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        'Sec-WebSocket-Accept: ' + accept_key(key),
+        '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    new Client(socket, this);
+};
+
+SyncServer.prototype.handle = function(client, msg) {
+    switch (msg.cmd) {
+        case 'login' :
+            client.authorized = !this.opts.token || msg.token == this.opts.token;
+            if (!client.authorized) client.send({cmd: 'error', error: 'bad token'});
+            break;
+
+        case 'init' :
+            if (!client.authorized) return client.send({cmd: 'error', error: 'login required'});
+            if (!msg.bucket) return client.send({cmd: 'error', error: 'no bucket'});
+            this.leave(client);
+            client.bucket = (msg.app_id || '') + '/' + msg.bucket;
+            var bucket = this.store.bucket(client.bucket);
+            bucket.clients.push(client);
+            client.send({
+                cmd     : 'init',
+                data    : {p: String(Object.keys(bucket.objects).length)},
+                objects : bucket.objects
+            });
+            break;
+
+        case 'update' :
+            if (!client.bucket) return client.send({cmd: 'error', error: 'not initialized', ccid: msg.ccid});
+            if (typeof msg.id != 'string' || !msg.id) {
+                return client.send({cmd: 'error', error: 'bad id', ccid: msg.ccid});
+            }
+            this.store.update(client.bucket, msg.id, msg.data);
+            this.broadcast(client, {cmd: 'notify', id: msg.id, data: msg.data == null ? null : msg.data});
+            client.send({cmd: 'ack', ccid: msg.ccid});
+            break;
+
+        case 'batch' :
+            if (!client.bucket) return client.send({cmd: 'error', error: 'not initialized', ccid: msg.ccid});
+            if (!msg.changes || typeof msg.changes != 'object' || Object.keys(msg.changes).some(function(id) { return !id; })) {
+                return client.send({cmd: 'error', error: 'bad batch', ccid: msg.ccid});
+            }
+            for (var id in msg.changes) {
+                this.store.update(client.bucket, id, msg.changes[id]);
+            }
+            this.broadcast(client, {cmd: 'batch', changes: msg.changes});
+            client.send({cmd: 'ack', ccid: msg.ccid});
+            break;
+
+        default :
+            client.send({cmd: 'error', error: 'unknown command', ccid: msg.ccid});
+    }
+};
+
+// Sends `msg` to everyone in the sender's bucket except the sender.
+SyncServer.prototype.broadcast = function(sender, msg) {
+    this.store.bucket(sender.bucket).clients.forEach(function(client) {
+        if (client !== sender) client.send(msg);
+    });
+};
+
+SyncServer.prototype.leave = function(client) {
+    if (!client.bucket) return;
+    var clients = this.store.bucket(client.bucket).clients;
+    var index = clients.indexOf(client);
+    if (index != -1) clients.splice(index, 1);
+    client.bucket = null;
+};
+
+
+exports.SyncServer = SyncServer;
+exports.encode_frame = encode_frame;
+exports.decode_frames = decode_frames;
+
+if (require.main === module) {
+    var opts = parse_args(process.argv.slice(2));
+    new SyncServer(opts).listen(function() {
+        console.log('Balanced Team Pie sync server on http://0.0.0.0:' + opts.port +
+            (opts.data ? ', saving to ' + opts.data : ', in memory only'));
+    });
+}
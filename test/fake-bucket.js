@@ -0,0 +1,256 @@
+// Fake bucket
+// ===========
+//
+// An in-memory Simperium bucket for several simulated clients, driven by a
+// harness Clock:
+//
+//     var server = new FakeServer(clock, {delay: 20, jitter: 200, seed: 7});
+//     var bucket = server.bucket('pie');   // one per client
+//     new Backbone.SimperiumAdapter({bucket: bucket});
+//     ...
+//     bucket.disconnect();
+//     bucket.reconnect();
+//
+// Each FakeBucket has the same API as js/simperium-local.js and behaves the
+// same way: it acks updates, applies batches as a whole, on (re)connect
+// gets the whole bucket and reports whatever changed while it was away, and
+// leaves objects it has unacked updates for to those.
+//
+// Every message between a client and the server takes `delay` ms plus a
+// random share of `jitter` ms. A connection delivers in order, as a socket
+// would, but different clients' messages overtake each other freely, so
+// with jitter the server sees writes in a different order from the one
+// they were made in. Messages in flight when a client disconnects are lost,
+// in both directions.
+
+var seeded = require('./harness').seeded;
+
+function copy(value) {
+    return value == null ? null : JSON.parse(JSON.stringify(value));
+}
+
+function same(a, b) {
+    return JSON.stringify(a == null ? null : a) === JSON.stringify(b == null ? null : b);
+}
+
+
+// Server
+// ------
+
+function FakeServer(clock, options) {
+    options || (options = {});
+    this.clock = clock;
+    this.delay = options.delay || 0;
+    this.jitter = options.jitter || 0;
+    this.random = seeded(options.seed || 1);
+    this.objects = {};
+    this.clients = [];
+}
+
+FakeServer.prototype.bucket = function(name) {
+    var bucket = new FakeBucket(this, name);
+    this.clients.push(bucket);
+    return bucket;
+};
+
+// Delivers `fn` after the usual delay, but never before whatever was sent
+// on the same link in the same direction, and not at all once the link
+// is gone.
+FakeServer.prototype.send = function(client, link, direction, fn) {
+    var now = this.clock.now;
+    var at = Math.max(link[direction] || 0,
+        now + this.delay + Math.floor(this.random() * (this.jitter + 1)));
+    link[direction] = at;
+    this.clock.set_timeout(function() {
+        if (client.link === link) fn();
+    }, at - now);
+};
+
+FakeServer.prototype.receive = function(client, link, msg) {
+    var changes = msg.changes, id;
+    switch (msg.cmd) {
+        case 'init' :
+            client.joined = true;
+            this.send(client, link, 'down', client.init.bind(client, {
+                data    : {p: String(Object.keys(this.objects).length)},
+                objects : copy(this.objects)
+            }));
+            return;
+        case 'update' :
+            changes = {};
+            changes[msg.id] = msg.data;
+            break;
+    }
+    for (id in changes) {
+        if (changes[id] == null) {
+            delete this.objects[id];
+        } else {
+            this.objects[id] = copy(changes[id]);
+        }
+    }
+    this.send(client, link, 'down', client.acked.bind(client, msg.ccid, null));
+    var self = this;
+    this.clients.forEach(function(other) {
+        if (other === client || !other.link || !other.joined) return;
+        if (msg.cmd == 'update') {
+            self.send(other, other.link, 'down', other.remote.bind(other, msg.id, copy(msg.data)));
+        } else {
+            self.send(other, other.link, 'down', other.remote_batch.bind(other, copy(changes)));
+        }
+    });
+};
+
+
+// Client
+// ------
+
+function FakeBucket(server, name) {
+    this.server = server;
+    this.name = name;
+    this.data = {};
+    this.objects = {};
+    this.connected = false;
+    this.link = null;
+    this.joined = false;
+    this.ccid = 0;
+    this.callbacks = {};
+    this.unacked = {};
+    this.notify = function(id, data) {};
+    this.notify_batch = function(changes) {};
+    this.initialized = function() {};
+    this.get_data = function(id) { return null; };
+    this.connection = function(connected) {};
+}
+
+FakeBucket.prototype = {
+    acks: true,
+
+    set_notify: function(fn) { this.notify = fn; },
+    set_notify_batch: function(fn) { this.notify_batch = fn; },
+    set_initialized: function(fn) { this.initialized = fn; },
+    set_get_data: function(fn) { this.get_data = fn; },
+    set_connection: function(fn) { this.connection = fn; },
+
+    start: function() {
+        this.reconnect();
+    },
+
+    get: function(id) {
+        return this.objects.hasOwnProperty(id) ? this.objects[id] : null;
+    },
+
+    update: function(id, data, callback) {
+        this.write({cmd: 'update', id: id, data: copy(data)}, callback);
+    },
+
+    update_batch: function(changes, callback) {
+        this.write({cmd: 'batch', changes: copy(changes)}, callback);
+    },
+
+    // Nobody writes while disconnected (the adapter says so), but a write
+    // made anyway is refused rather than held.
+    write: function(msg, callback) {
+        if (!this.connected) {
+            if (callback) callback('disconnected');
+            return;
+        }
+        msg.ccid = String(++this.ccid);
+        if (callback) this.callbacks[msg.ccid] = callback;
+        this.unacked[msg.ccid] = msg;
+        this.apply(msg.cmd == 'update' ? single(msg.id, msg.data) : msg.changes);
+        var server = this.server, link = this.link, self = this;
+        server.send(this, link, 'up', function() { server.receive(self, link, msg); });
+    },
+
+    apply: function(changes) {
+        for (var id in changes) {
+            if (changes[id] == null) {
+                delete this.objects[id];
+            } else {
+                this.objects[id] = changes[id];
+            }
+        }
+    },
+
+    // Drops the connection. Unacked writes fail with 'disconnected'; they
+    // may or may not have reached the server.
+    disconnect: function() {
+        if (!this.link) return;
+        this.link = null;
+        this.joined = false;
+        if (this.connected) {
+            this.connected = false;
+            this.connection(false);
+        }
+        var callbacks = this.callbacks;
+        this.callbacks = {};
+        this.unacked = {};
+        for (var ccid in callbacks) callbacks[ccid]('disconnected');
+    },
+
+    reconnect: function() {
+        if (this.link) return;
+        var server = this.server, link = this.link = {}, self = this;
+        server.send(this, link, 'up', function() { server.receive(self, link, {cmd: 'init'}); });
+    },
+
+    init: function(msg) {
+        var previous = this.objects, id;
+        this.data = msg.data;
+        this.objects = {};
+        for (id in msg.objects) this.remote(id, msg.objects[id], previous);
+        for (id in previous) {
+            if (!msg.objects.hasOwnProperty(id)) this.remote(id, null, previous);
+        }
+        this.connected = true;
+        this.connection(true);
+        if (!this.was_initialized) {
+            this.was_initialized = true;
+            this.initialized();
+        }
+    },
+
+    acked: function(ccid, error) {
+        delete this.unacked[ccid];
+        var callback = this.callbacks[ccid];
+        if (!callback) return;
+        delete this.callbacks[ccid];
+        callback(error);
+    },
+
+    writing: function(id) {
+        for (var ccid in this.unacked) {
+            var msg = this.unacked[ccid];
+            if (msg.cmd == 'update' ? msg.id == id : msg.changes.hasOwnProperty(id)) return true;
+        }
+        return false;
+    },
+
+    remote: function(id, data, previous) {
+        if (this.writing(id)) return;
+        var changed = !same((previous || this.objects)[id], data);
+        this.apply(single(id, data));
+        if (changed) this.notify(id, data);
+    },
+
+    remote_batch: function(changes) {
+        var changed = {}, any = false;
+        for (var id in changes) {
+            if (this.writing(id) || same(this.objects[id], changes[id])) continue;
+            changed[id] = changes[id];
+            any = true;
+        }
+        this.apply(changed);
+        if (any) this.notify_batch(changed);
+    }
+};
+
+function single(id, data) {
+    var changes = {};
+    changes[id] = data;
+    return changes;
+}
+
+
+exports.FakeServer = FakeServer;
+exports.FakeBucket = FakeBucket;
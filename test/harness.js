@@ -0,0 +1,149 @@
+// Test harness
+// ============
+//
+// Runs the browser scripts under Node. Each simulated client gets a sandbox
+// of its own (its own Backbone, localStorage and random numbers) and all of
+// them share one Clock, so a test decides exactly when time passes:
+//
+//     var clock = new Clock();
+//     var ctx = sandbox(clock, {seed: 1});
+//     new ctx.Backbone.SimperiumCollection(...);
+//     clock.run();        // until nothing is left to happen
+//
+// No dependencies beyond Node itself.
+
+var vm = require('vm');
+var fs = require('fs');
+var path = require('path');
+
+var ROOT = path.resolve(__dirname, '..');
+var SCRIPTS = [
+    'js/underscore.js',
+    'js/backbone.js',
+    'js/schema.js',
+    'js/backbone-simperium-adapters.js',
+    'js/backbone-simperium.js'
+];
+
+
+// Deterministic Math.random, so a failing run can be repeated from its seed.
+function seeded(seed) {
+    var state = seed % 2147483647;
+    if (state <= 0) state += 2147483646;
+    return function() {
+        state = state * 16807 % 2147483647;
+        return (state - 1) / 2147483646;
+    };
+}
+
+
+// Clock
+// -----
+//
+// setTimeout and Date for the sandboxes. Nothing fires until tick() or run()
+// moves the clock on; timers due at the same time fire in the order they
+// were set.
+
+function Clock() {
+    this.now = 1000000;
+    this.timers = [];
+    this.sequence = 0;
+}
+
+Clock.prototype.set_timeout = function(fn, ms) {
+    var timer = {id: ++this.sequence, at: this.now + (ms || 0), fn: fn};
+    this.timers.push(timer);
+    return timer.id;
+};
+
+Clock.prototype.clear_timeout = function(id) {
+    this.timers = this.timers.filter(function(timer) { return timer.id !== id; });
+};
+
+// Takes the next timer due by `until` off the list, or null.
+Clock.prototype.next = function(until) {
+    var best = -1;
+    for (var i = 0; i < this.timers.length; i++) {
+        var timer = this.timers[i];
+        if (timer.at > until) continue;
+        if (best == -1 || timer.at < this.timers[best].at ||
+                (timer.at == this.timers[best].at && timer.id < this.timers[best].id)) {
+            best = i;
+        }
+    }
+    return best == -1 ? null : this.timers.splice(best, 1)[0];
+};
+
+// Moves the clock on by `ms`, firing whatever falls due on the way.
+Clock.prototype.tick = function(ms) {
+    var until = this.now + ms, timer;
+    while ((timer = this.next(until))) {
+        this.now = timer.at;
+        timer.fn();
+    }
+    this.now = until;
+};
+
+// Fires timers until there are none left. Gives up after `limit` ms of
+// simulated time, which means something keeps rescheduling itself.
+Clock.prototype.run = function(limit) {
+    var until = this.now + (limit || 10 * 60 * 1000), timer;
+    while ((timer = this.next(Infinity))) {
+        if (timer.at > until) throw new Error('clock still busy after ' + (limit || 600000) + 'ms');
+        this.now = timer.at;
+        timer.fn();
+    }
+};
+
+Clock.prototype.date = function() {
+    var clock = this;
+    var FakeDate = function(value) {
+        return new Date(arguments.length ? value : clock.now);
+    };
+    FakeDate.now = function() { return clock.now; };
+    return FakeDate;
+};
+
+
+function fake_storage() {
+    var items = {};
+    var storage = {
+        getItem: function(key) { return items.hasOwnProperty(key) ? items[key] : null; },
+        setItem: function(key, value) { items[key] = String(value); },
+        removeItem: function(key) { delete items[key]; },
+        key: function(index) { return Object.keys(items)[index] || null; },
+        items: items
+    };
+    Object.defineProperty(storage, 'length', {get: function() { return Object.keys(items).length; }});
+    return storage;
+}
+
+// A fresh window with SCRIPTS loaded. `options.seed` seeds Math.random,
+// `options.storage` is its localStorage (pass one along to simulate a
+// reload) and `options.log` receives console.log output, dropped otherwise.
+function sandbox(clock, options) {
+    options || (options = {});
+    var math = Object.create(Math);
+    math.random = seeded(options.seed || 1);
+    var ctx = {
+        console         : {log: options.log || function() {}},
+        JSON            : JSON,
+        Math            : math,
+        Date            : clock.date(),
+        setTimeout      : clock.set_timeout.bind(clock),
+        clearTimeout    : clock.clear_timeout.bind(clock),
+        localStorage    : options.storage || fake_storage()
+    };
+    ctx.window = ctx;
+    vm.createContext(ctx);
+    SCRIPTS.forEach(function(file) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), ctx, {filename: file});
+    });
+    return ctx;
+}
+
+
+exports.Clock = Clock;
+exports.seeded = seeded;
+exports.fake_storage = fake_storage;
+exports.sandbox = sandbox;
@@ -0,0 +1,144 @@
+// Tests for js/scoring.js
+//
+//     node --test test/*.test.js
+
+var test = require('node:test');
+var assert = require('assert');
+var Scoring = require('../js/scoring');
+
+function close(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, actual + ' is not ' + expected);
+}
+
+var team = {
+    ann : {scores: [4, 0, 2]},
+    bob : {scores: [2, 0, 4]},
+    cy  : {scores: [3, 1, 0]}
+};
+
+
+test('overlap is the share of the most the team could score', function() {
+    assert.strictEqual(Scoring.overlap(team, 0), 75);
+    assert.strictEqual(Scoring.overlap(team, 1), 8);
+    assert.strictEqual(Scoring.overlap(team, 2), 50);
+});
+
+test('weight counts members at or above a level', function() {
+    close(Scoring.weight(team, 0, 0), .6);
+    close(Scoring.weight(team, 0, 3), .4);
+    close(Scoring.weight(team, 0, 4), .2);
+    close(Scoring.weight(team, 1, 2), 0);
+});
+
+test('total averages the overlaps', function() {
+    assert.strictEqual(Scoring.total(team, 3), Math.round((75 + 8 + 50) / 3));
+});
+
+test('metrics has everything at once', function() {
+    var metrics = Scoring.metrics(team, 3);
+    assert.strictEqual(metrics.members, 3);
+    assert.deepStrictEqual(metrics.overlap, [75, 8, 50]);
+    assert.strictEqual(metrics.total, 44);
+    assert.strictEqual(metrics.weights.length, 3);
+    assert.strictEqual(metrics.weights[0].length, 5);
+    close(metrics.weights[2][2], .4);
+});
+
+test('an empty team scores nothing', function() {
+    assert.strictEqual(Scoring.overlap({}, 0), 0);
+    assert.strictEqual(Scoring.weight({}, 0, 1), 0);
+    assert.strictEqual(Scoring.total({}, 8), 0);
+    var metrics = Scoring.metrics({}, 2);
+    assert.strictEqual(metrics.members, 0);
+    assert.deepStrictEqual(metrics.overlap, [0, 0]);
+    assert.deepStrictEqual(metrics.weights, [[0, 0, 0, 0, 0], [0, 0, 0, 0, 0]]);
+});
+
+test('no competencies make a total of zero', function() {
+    assert.strictEqual(Scoring.total(team, 0), 0);
+    assert.deepStrictEqual(Scoring.metrics(team, 0).overlap, []);
+});
+
+test('missing and unreadable scores count as no vote', function() {
+    var patchy = {
+        ann : {scores: [4]},
+        bob : {scores: [null, 'x']},
+        cy  : {},
+        dee : null
+    };
+    assert.strictEqual(Scoring.metrics(patchy, 2).members, 3);
+    assert.strictEqual(Scoring.overlap(patchy, 0), 33);
+    assert.strictEqual(Scoring.overlap(patchy, 1), 0);
+    close(Scoring.weight(patchy, 0, 0), .2);
+    close(Scoring.weight(patchy, 1, 0), 0);
+});
+
+test('scores kept as strings still count', function() {
+    var old = {ann: {scores: ['4', '2']}, bob: {scores: ['0', '']}};
+    assert.strictEqual(Scoring.overlap(old, 0), 50);
+    assert.strictEqual(Scoring.overlap(old, 1), 25);
+    close(Scoring.weight(old, 0, 0), .4);
+    close(Scoring.weight(old, 1, 1), .2);
+});
+
+test('a different top score changes the overlap', function() {
+    assert.strictEqual(Scoring.overlap({ann: {scores: [5]}}, 0, {max: 10}), 50);
+    assert.strictEqual(Scoring.metrics({ann: {scores: [5]}}, 1, {max: 10}).weights[0].length, 11);
+});
+
+test('the bottom of the scale counts as nothing', function() {
+    var scale = {min: 1, max: 5, step: 1};
+    var five = {ann: {scores: [1, 5]}, bob: {scores: [3, 5]}};
+    assert.strictEqual(Scoring.overlap(five, 0, scale), 25);
+    assert.strictEqual(Scoring.overlap(five, 1, scale), 100);
+    assert.strictEqual(Scoring.total(five, 2, scale), 63);
+});
+
+test('weights follow the levels of the scale', function() {
+    var scale = {min: 0, max: 10, step: 2};
+    assert.deepStrictEqual(Scoring.levels(scale), [0, 2, 4, 6, 8, 10]);
+    var weights = Scoring.metrics({ann: {scores: [6]}, bob: {scores: [10]}}, 1, scale).weights[0];
+    assert.strictEqual(weights.length, 6);
+    close(weights[3], .4);
+    close(weights[4], .2);
+    close(weights[5], .2);
+});
+
+test('levels survive fractional steps', function() {
+    assert.deepStrictEqual(Scoring.levels({min: 0, max: 1, step: .25}), [0, .25, .5, .75, 1]);
+    assert.deepStrictEqual(Scoring.levels({min: 0, max: .3, step: .1}), [0, .1, .2, .3]);
+    assert.deepStrictEqual(Scoring.levels({min: 1, max: 3, step: 0}), [1, 3]);
+    assert.deepStrictEqual(Scoring.levels(), [0, 1, 2, 3, 4]);
+});
+
+test('a scale without a range scores nothing', function() {
+    assert.strictEqual(Scoring.overlap(team, 0, {min: 4, max: 4}), 0);
+});
+
+test('grouped scores are the average of what each member rated', function() {
+    var skills = {
+        ann : {scores: [4, 2, 3]},
+        bob : {scores: [1, null, '0']},
+        cy  : {scores: []}
+    };
+    var grouped = Scoring.group(skills, [[0, 1], [2]]);
+    assert.deepStrictEqual(grouped, {
+        ann : {scores: [3, 3]},
+        bob : {scores: [1, 0]},
+        cy  : {scores: [null, null]}
+    });
+    assert.strictEqual(Scoring.overlap(grouped, 0), 33);
+});
+
+test('scores keyed by competency group like positional ones', function() {
+    var keyed = {
+        ann : {scores: {front: 4, back: 2, ux: '1'}},
+        bob : {scores: {front: 0, gone: 4}}
+    };
+    assert.deepStrictEqual(Scoring.group(keyed, [['ux'], ['front', 'back']]), {
+        ann : {scores: [1, 3]},
+        bob : {scores: [null, 0]}
+    });
+    assert.strictEqual(Scoring.score(keyed.ann, 'back'), 2);
+    assert.strictEqual(Scoring.score(keyed.bob, 'ux'), null);
+});
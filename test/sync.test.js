@@ -0,0 +1,310 @@
+// Convergence tests for js/backbone-simperium.js
+// ==============================================
+//
+// Several clients, each a Backbone.SimperiumCollection in a sandbox of its
+// own, share one fake bucket (test/fake-bucket.js). Whatever order their
+// messages arrive in and however often they drop off, once everything has
+// been delivered every client must show what the bucket holds.
+//
+//     node --test test/*.test.js
+
+var test = require('node:test');
+var assert = require('assert');
+var harness = require('./harness');
+var FakeServer = require('./fake-bucket').FakeServer;
+
+
+// A simulated browser: its window, bucket and collection. Clients given the
+// same options.storage are tabs of one browser.
+function client(clock, server, n, options) {
+    var ctx = harness.sandbox(clock, {seed: n * 7919 + 1, storage: options && options.storage});
+    var bucket = server.bucket('pie');
+    var adapter = new ctx.Backbone.SimperiumAdapter({bucket: bucket});
+    var Collection = ctx.Backbone.SimperiumCollection.extend(options && options.extend || {});
+    var collection = new Collection([], {adapter: adapter, author: 'client-' + n});
+    if (options && options.fetch) collection.fetch();
+    return {ctx: ctx, bucket: bucket, adapter: adapter, collection: collection};
+}
+
+// Values from a sandbox have its Object and Array, which deepStrictEqual
+// tells apart from ours.
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Every model as {id: attributes}, for comparing clients with each other
+// and with the bucket.
+function state(collection) {
+    var result = {};
+    collection.each(function(model) {
+        result[model.id] = plain(model.toJSON());
+    });
+    return result;
+}
+
+function stored(server) {
+    var result = {};
+    Object.keys(server.objects).forEach(function(id) {
+        var data = plain(server.objects[id]);
+        delete data.___meta;
+        result[id] = data;
+    });
+    return result;
+}
+
+function assert_converged(server, clients) {
+    var expected = stored(server);
+    clients.forEach(function(c, i) {
+        assert.deepStrictEqual(state(c.collection), expected, 'client ' + i + ' differs from the bucket');
+        assert.strictEqual(c.collection.queue.length(), 0, 'client ' + i + ' has unsent writes');
+    });
+}
+
+function pick(random, list) {
+    return list[Math.floor(random() * list.length)];
+}
+
+
+test('a write reaches every other client', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10});
+    var a = client(clock, server, 1), b = client(clock, server, 2);
+    clock.run();
+
+    var model = a.collection.create({name: 'Ann', order: 1});
+    clock.run();
+    assert.deepStrictEqual(plain(b.collection.get(model.id)), {name: 'Ann', order: 1});
+
+    model.save({name: 'Anne'});
+    clock.run();
+    assert.strictEqual(b.collection.get(model.id).get('name'), 'Anne');
+
+    model.destroy();
+    clock.run();
+    assert.strictEqual(b.collection.length, 0);
+    assert_converged(server, [a, b]);
+});
+
+test('models created at once on several clients all survive with distinct ids', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 5, jitter: 100, seed: 3});
+    var clients = [1, 2, 3].map(function(n) { return client(clock, server, n); });
+    clock.run();
+
+    clients.forEach(function(c, n) {
+        for (var i = 0; i < 5; i++) c.collection.create({name: 'm' + n + '.' + i});
+    });
+    clock.run();
+
+    assert.strictEqual(Object.keys(server.objects).length, 15);
+    assert_converged(server, clients);
+});
+
+test('concurrent edits to one model settle on the same value everywhere', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 5, jitter: 50, seed: 11});
+    var a = client(clock, server, 1), b = client(clock, server, 2);
+    clock.run();
+    var id = a.collection.create({score: 0}).id;
+    clock.run();
+
+    for (var round = 0; round < 20; round++) {
+        a.collection.get(id).save({score: round});
+        b.collection.get(id).save({score: 100 + round});
+        clock.tick(10);
+    }
+    clock.run();
+    assert_converged(server, [a, b]);
+});
+
+test('writes made while disconnected are kept and sent on reconnect', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10, jitter: 30, seed: 5});
+    var a = client(clock, server, 1), b = client(clock, server, 2);
+    clock.run();
+    var shared = a.collection.create({name: 'shared'});
+    var doomed = a.collection.create({name: 'doomed'});
+    clock.run();
+
+    a.bucket.disconnect();
+    var offline = a.collection.create({name: 'offline'});
+    a.collection.get(shared.id).save({name: 'from a'});
+    b.collection.get(doomed.id).destroy();
+    b.collection.create({name: 'from b'});
+    clock.run();
+    assert.strictEqual(a.collection.queue.length(), 2);
+    assert.strictEqual(server.objects[offline.id], undefined);
+
+    a.bucket.reconnect();
+    clock.run();
+    assert_converged(server, [a, b]);
+    assert.strictEqual(b.collection.get(offline.id).get('name'), 'offline');
+    assert.strictEqual(b.collection.get(shared.id).get('name'), 'from a');
+    assert.strictEqual(a.collection.get(doomed.id), undefined);
+});
+
+test('a reloaded tab sends its own queued writes and leaves another tab\'s alone', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10});
+    var storage = harness.fake_storage();
+    var a = client(clock, server, 1, {storage: storage}), b = client(clock, server, 2, {storage: storage});
+    clock.run();
+
+    a.bucket.disconnect();
+    b.bucket.disconnect();
+    var from_a = a.collection.create({name: 'from a'});
+    var from_b = b.collection.create({name: 'from b'});
+    clock.run();
+
+    // a's page goes away and comes back; b stays open throughout
+    a.collection.queue.release();
+    var reloaded = client(clock, server, 3, {storage: storage, fetch: true});
+    assert.strictEqual(reloaded.collection.queue.length(), 1);
+    assert.ok(reloaded.collection.queue.pending(from_a.id));
+    assert.ok(!reloaded.collection.queue.pending(from_b.id));
+    clock.run();
+    assert.strictEqual(server.objects[from_a.id].name, 'from a');
+    assert.strictEqual(server.objects[from_b.id], undefined);
+
+    b.bucket.reconnect();
+    clock.run();
+    assert.strictEqual(server.objects[from_b.id].name, 'from b');
+    assert_converged(server, [reloaded, b]);
+    assert.deepStrictEqual(Object.keys(storage.items).filter(function(key) {
+        return key.indexOf('btp-queue:') == 0;
+    }), []);
+});
+
+test('a write lost with the connection is sent again', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 50});
+    var a = client(clock, server, 1), b = client(clock, server, 2);
+    clock.run();
+
+    var model = a.collection.create({name: 'lost'});
+    clock.tick(10);
+    a.bucket.disconnect();
+    clock.run();
+    assert.strictEqual(b.collection.length, 0);
+
+    a.bucket.reconnect();
+    clock.run();
+    assert.strictEqual(b.collection.get(model.id).get('name'), 'lost');
+    assert_converged(server, [a, b]);
+});
+
+test('a late joiner fetches the whole bucket in one reset', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10});
+    var a = client(clock, server, 1);
+    clock.run();
+    a.collection.create({name: 'x'});
+    a.collection.create({name: 'y', id: 'kept'});
+    clock.run();
+
+    var b = client(clock, server, 2, {fetch: true});
+    var resets = 0;
+    b.collection.bind('reset', function() { resets++; });
+    clock.run();
+    assert.strictEqual(resets, 1);
+    assert.strictEqual(b.collection.length, 2);
+    assert.deepStrictEqual(plain(b.collection.find(function(m) { return m.get('name') == 'y'; })),
+        {name: 'y', id: 'kept'});
+});
+
+test('a batch reaches the others as one change', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10});
+    var options = {extend: {position: 'order'}};
+    var a = client(clock, server, 1, options), b = client(clock, server, 2, options);
+    clock.run();
+    ['a', 'b', 'c'].forEach(function(name, i) { a.collection.create({name: name, order: i + 1}); });
+    clock.run();
+
+    var events = [];
+    b.collection.bind('all', function(event) { if (event != 'history') events.push(event); });
+    var changes = {};
+    changes[a.collection.at(0).id] = {order: 3};
+    changes[a.collection.at(2).id] = {order: 1};
+    a.collection.save_batch(changes);
+    clock.run();
+    assert.deepStrictEqual(events.filter(function(e) { return e == 'reset'; }), ['reset']);
+    assert.strictEqual(events[events.length - 1], 'reset');
+    assert.deepStrictEqual(plain(b.collection.pluck('name')), ['c', 'b', 'a']);
+    assert_converged(server, [a, b]);
+});
+
+test('a position set back to where it was before a batch still moves the model', function() {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 10});
+    var options = {extend: {position: 'order'}};
+    var a = client(clock, server, 1, options), b = client(clock, server, 2, options);
+    clock.run();
+    var x = a.collection.create({name: 'x', order: 1});
+    a.collection.create({name: 'y', order: 2});
+    var z = a.collection.create({name: 'z', order: 1});
+    clock.run();
+
+    var changes = {};
+    changes[x.id] = {order: 3};
+    changes[z.id] = {order: 1};
+    a.collection.save_batch(changes);
+    clock.run();
+    var moves = 0;
+    b.collection.bind('change:order', function() { moves++; });
+    x.save({order: 1});
+    clock.run();
+
+    assert.strictEqual(moves, 1);
+    assert.deepStrictEqual(plain(a.collection.pluck('order')), [1, 1, 2]);
+    assert.deepStrictEqual(plain(b.collection.pluck('order')), [1, 1, 2]);
+    assert.deepStrictEqual(plain(b.collection.pluck('name')), plain(a.collection.pluck('name')));
+    assert_converged(server, [a, b]);
+});
+
+// Three clients making random changes, with `seed` choosing them, must end up
+// agreeing with the bucket and with each other on the order.
+function random_session(seed) {
+    var clock = new harness.Clock();
+    var server = new FakeServer(clock, {delay: 5, jitter: 80, seed: seed});
+    var random = harness.seeded(seed);
+    var options = {extend: {position: 'order', coalesce: seed % 2 ? 50 : 0}};
+    var clients = [1, 2, 3].map(function(n) { return client(clock, server, n, options); });
+    clock.run();
+
+    for (var step = 0; step < 60; step++) {
+        var c = pick(random, clients), collection = c.collection;
+        var roll = random();
+        if (roll < 0.08) {
+            c.bucket.link ? c.bucket.disconnect() : c.bucket.reconnect();
+        } else if (roll < 0.3 || !collection.length) {
+            collection.create({name: 's' + step, order: collection.length + 1});
+        } else if (roll < 0.45) {
+            pick(random, collection.models).destroy();
+        } else if (roll < 0.7) {
+            collection.move(pick(random, collection.models), Math.floor(random() * collection.length));
+        } else {
+            pick(random, collection.models).save({name: 'e' + step});
+        }
+        clock.tick(Math.floor(random() * 40));
+    }
+    clients.forEach(function(c) { c.bucket.reconnect(); });
+    clock.run();
+
+    assert_converged(server, clients);
+    var orders = clients.map(function(c) { return c.collection.pluck('name').join(); });
+    assert.strictEqual(orders[1], orders[0], 'seed ' + seed + ': clients 1 and 2 order differently');
+    assert.strictEqual(orders[2], orders[0], 'seed ' + seed + ': clients 1 and 3 order differently');
+}
+
+test('random edits, moves and dropped connections converge', function() {
+    for (var seed = 1; seed <= 25; seed++) random_session(seed);
+});
+
+test('moves back to a position held before a batch converge', function() {
+    random_session(29);
+});
+
+test('a change the server made before our unacked write is not applied twice', function() {
+    random_session(111);
+});